@@ -0,0 +1,61 @@
+/**
+ * Standalone build — writes dist/throwsage-viewer.html, a single file that
+ * opens from file:// with no web server.
+ *
+ * Browsers block module scripts and fetches of local files on file:// pages,
+ * so viewer.js and its modules (three.js included, from node_modules) are
+ * bundled into one classic script and inlined into index.html together with
+ * style.css. The page then opens on the drop zone and reads the throw folder
+ * or zip from memory (local-files.js). Run with `npm run build:standalone`.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { build } from 'esbuild';
+
+const OUT_DIR = 'dist';
+const OUT_FILE = `${OUT_DIR}/throwsage-viewer.html`;
+
+// Replace exactly one occurrence, so a changed index.html fails the build
+// instead of silently shipping a page that still needs a server
+function replaceOnce(html, pattern, replacement, what) {
+  const matches = html.match(new RegExp(pattern.source, 'g')) || [];
+  if (matches.length !== 1) throw new Error(`index.html: expected one ${what}, found ${matches.length}`);
+  return html.replace(pattern, () => replacement);
+}
+
+function inlineScript(code) {
+  if (/<\/script/i.test(code)) throw new Error('bundle contains "</script" and cannot be inlined');
+  return `<script>\n${code}</script>`;
+}
+
+async function main() {
+  const bundle = await build({
+    entryPoints: ['viewer.js'],
+    bundle: true,
+    format: 'iife',
+    target: 'es2020',
+    minify: true,
+    legalComments: 'none',
+    write: false,
+  });
+  const script = bundle.outputFiles[0].text;
+  const css = await readFile('style.css', 'utf8');
+
+  let html = await readFile('index.html', 'utf8');
+  html = replaceOnce(html, /<link rel="stylesheet" href="style\.css">/, `<style>\n${css}</style>`, 'stylesheet link');
+  html = replaceOnce(html, /\s*<script id="file-protocol-notice">[\s\S]*?<\/script>/, '', 'file:// notice script');
+  html = replaceOnce(html, /\s*<script type="importmap">[\s\S]*?<\/script>/, '', 'import map');
+  html = replaceOnce(html, /<script type="module" src="viewer\.js"><\/script>/, inlineScript(script), 'viewer.js script');
+  // The library page is not part of the standalone file
+  html = replaceOnce(html, /\s*<a id="library-link"[^>]*>[^<]*<\/a>/, '', 'library link');
+  html = replaceOnce(html, /href="index\.html\?local"/, 'href="?local"', 'open-local link');
+
+  await mkdir(OUT_DIR, { recursive: true });
+  await writeFile(OUT_FILE, html);
+  console.log(`Wrote ${OUT_FILE} (${(html.length / 1048576).toFixed(1)} MB)`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
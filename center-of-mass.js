@@ -0,0 +1,70 @@
+/**
+ * Whole-body center of mass from segment-weighted keypoints.
+ *
+ * Pure math module. No DOM or Three.js. Keypoints are the MHR70 array in
+ * Y-up meters (Three.js space), T × 70 × 3, NaN where missing. Segment mass
+ * fractions and COM positions are de Leva (1996, male) with the segment
+ * ends MHR70 provides; the hammer is not included.
+ */
+
+import { MHR70_INDEX as K } from './mhr70.js';
+
+// [proximal, distal] keypoints (arrays are averaged), mass fraction, COM
+// position from proximal as a fraction of segment length
+const SEGMENTS = [
+  { from: [K.left_ear, K.right_ear], to: [K.left_ear, K.right_ear], mass: 0.0694, at: 0 },  // head
+  { from: [K.neck], to: [K.left_hip, K.right_hip], mass: 0.4346, at: 0.4486 },               // trunk
+  ...['left', 'right'].flatMap(side => [
+    { from: [K[`${side}_shoulder`]], to: [K[`${side}_elbow`]], mass: 0.0271, at: 0.5772 },
+    { from: [K[`${side}_elbow`]], to: [K[`${side}_wrist`]], mass: 0.0162, at: 0.4574 },
+    { from: [K[`${side}_wrist`]], to: [K[`${side}_middle_finger_third_joint`]], mass: 0.0061, at: 0.7900 },
+    { from: [K[`${side}_hip`]], to: [K[`${side}_knee`]], mass: 0.1416, at: 0.4095 },
+    { from: [K[`${side}_knee`]], to: [K[`${side}_ankle`]], mass: 0.0433, at: 0.4459 },
+    { from: [K[`${side}_heel`]], to: [K[`${side}_big_toe`]], mass: 0.0137, at: 0.4415 },
+  ]),
+];
+
+function mean(kps, f, indices, out) {
+  out[0] = out[1] = out[2] = 0;
+  for (const idx of indices) {
+    const o = (f * 70 + idx) * 3;
+    out[0] += kps[o]; out[1] += kps[o + 1]; out[2] += kps[o + 2];
+  }
+  out[0] /= indices.length; out[1] /= indices.length; out[2] /= indices.length;
+}
+
+// → Float32Array(T × 3); a frame missing any segment keypoint is NaN
+export function computeCenterOfMass(kps, T) {
+  const com = new Float32Array(T * 3);
+  const a = [0, 0, 0], b = [0, 0, 0];
+  for (let f = 0; f < T; f++) {
+    let x = 0, y = 0, z = 0, m = 0;
+    for (const s of SEGMENTS) {
+      mean(kps, f, s.from, a);
+      mean(kps, f, s.to, b);
+      x += s.mass * (a[0] + (b[0] - a[0]) * s.at);
+      y += s.mass * (a[1] + (b[1] - a[1]) * s.at);
+      z += s.mass * (a[2] + (b[2] - a[2]) * s.at);
+      m += s.mass;
+    }
+    com[f * 3] = x / m; com[f * 3 + 1] = y / m; com[f * 3 + 2] = z / m;
+  }
+  return com;
+}
+
+// Horizontal offset of the COM from the circle center, in meters.
+// centers: Float32Array(T × 3) per-frame circle center; front: [x, z] unit
+// vector toward the front of the circle, or null.
+// → {distance, front} Float32Array(T) each; front is the signed component
+//   along `front` (positive = ahead of center), NaN without a direction
+export function circleOffsets(com, centers, T, front) {
+  const distance = new Float32Array(T);
+  const ahead = new Float32Array(T).fill(NaN);
+  for (let f = 0; f < T; f++) {
+    const dx = com[f * 3] - centers[f * 3];
+    const dz = com[f * 3 + 2] - centers[f * 3 + 2];
+    distance[f] = Math.hypot(dx, dz);
+    if (front) ahead[f] = dx * front[0] + dz * front[1];
+  }
+  return { distance, front: ahead };
+}
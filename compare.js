@@ -0,0 +1,97 @@
+/**
+ * Throw comparison — event alignment and per-turn time warping.
+ *
+ * Pure math module. No DOM or Three.js. Maps every frame of the primary
+ * throw onto a fractional frame of the comparison throw so both can be
+ * played and plotted on one timeline.
+ */
+
+// ─── Events ──────────────────────────────────────────────────────────────────
+
+// Alignment events for a throw: one per turn boundary, plus release.
+// Keys are the turn labels (T0, T1, ...) so turns pair up across throws.
+export function getAlignmentEvents(meta) {
+  const events = [];
+  const boundaries = meta.turn_boundaries || [];
+  boundaries.forEach((frame, i) => {
+    const label = meta.turn_labels ? meta.turn_labels[i] : `T${i}`;
+    events.push({ key: label, label, frame });
+  });
+  const release = meta.throw_window && meta.throw_window.release;
+  if (release) events.push({ key: 'release', label: 'Release', frame: release });
+  return events;
+}
+
+// Events present in both throws, in primary-frame order
+export function getCommonEvents(primaryMeta, compareMeta) {
+  const cmpByKey = new Map(getAlignmentEvents(compareMeta).map(e => [e.key, e]));
+  const common = [];
+  for (const e of getAlignmentEvents(primaryMeta)) {
+    const c = cmpByKey.get(e.key);
+    if (c) common.push({ key: e.key, label: e.label, primary: e.frame, compare: c.frame });
+  }
+  common.sort((a, b) => a.primary - b.primary);
+  return common;
+}
+
+// ─── Frame Map ───────────────────────────────────────────────────────────────
+
+// Returns Float32Array(primary frame_count): fractional comparison frame for
+// each primary frame, NaN where the comparison throw has no data.
+//   eventKey — event both throws are pinned to (e.g. 'T0', 'T2', 'release')
+//   warp     — stretch each turn so every common event lines up, not just one
+export function buildFrameMap(primaryMeta, compareMeta, eventKey, warp) {
+  const T = primaryMeta.frame_count;
+  const cmpT = compareMeta.frame_count;
+  const rate = compareMeta.fps / primaryMeta.fps;  // compare frames per primary frame
+  const map = new Float32Array(T);
+
+  const common = getCommonEvents(primaryMeta, compareMeta);
+  const pinned = common.find(e => e.key === eventKey) || common[0];
+
+  // Anchors for piecewise-linear warping — drop any that would run backwards
+  let anchors = [];
+  if (warp) {
+    for (const e of common) {
+      const prev = anchors[anchors.length - 1];
+      if (!prev || (e.primary > prev.primary && e.compare > prev.compare)) anchors.push(e);
+    }
+  }
+  if (anchors.length < 2) anchors = pinned ? [pinned] : [];
+
+  for (let f = 0; f < T; f++) {
+    let c;
+    if (anchors.length === 0) {
+      c = f * rate;
+    } else if (f <= anchors[0].primary) {
+      c = anchors[0].compare + (f - anchors[0].primary) * rate;
+    } else if (f >= anchors[anchors.length - 1].primary) {
+      const last = anchors[anchors.length - 1];
+      c = last.compare + (f - last.primary) * rate;
+    } else {
+      let i = 0;
+      while (f > anchors[i + 1].primary) i++;
+      const a = anchors[i], b = anchors[i + 1];
+      const t = (f - a.primary) / (b.primary - a.primary);
+      c = a.compare + t * (b.compare - a.compare);
+    }
+    map[f] = (c < 0 || c > cmpT - 1) ? NaN : c;
+  }
+  return map;
+}
+
+// ─── Resampling ──────────────────────────────────────────────────────────────
+
+// Linear resample of a per-frame comparison series onto the primary timeline
+export function resampleSeries(series, frameMap) {
+  const out = new Float32Array(frameMap.length);
+  for (let f = 0; f < frameMap.length; f++) {
+    const c = frameMap[f];
+    if (!series || isNaN(c)) { out[f] = NaN; continue; }
+    const i0 = Math.floor(c);
+    const i1 = Math.min(i0 + 1, series.length - 1);
+    const t = c - i0;
+    out[f] = series[i0] + (series[i1] - series[i0]) * t;
+  }
+  return out;
+}
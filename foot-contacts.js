@@ -0,0 +1,141 @@
+/**
+ * Foot contact detection — which foot is on the ground, when and where.
+ *
+ * Pure math module. No DOM or Three.js. A foot's height is the lowest of
+ * its keypoints (ankle, heel, toes) above the ground, or — once every
+ * vertex frame is in — the lowest of the mesh vertices around it, which
+ * sits on the sole and needs tighter thresholds. Contacts use hysteresis
+ * so tracking jitter near the threshold doesn't split them.
+ *
+ * Keypoints and vertices are passed in their stored space together with
+ * ySign (+1 for world data, −1 for camera space, where Three.js Y = −y);
+ * distances between them don't depend on the flip.
+ */
+
+import { MHR70_INDEX as K } from './mhr70.js';
+
+export const FOOT_SIDES = ['left', 'right'];
+
+const FOOT_KEYPOINTS = {
+  left: [K.left_ankle, K.left_heel, K.left_big_toe, K.left_small_toe],
+  right: [K.right_ankle, K.right_heel, K.right_big_toe, K.right_small_toe],
+};
+
+// Heights in meters: grounded below `on`, lifted above `off`
+export const KEYPOINT_CONTACT = { on: 0.04, off: 0.06 };
+export const MESH_CONTACT = { on: 0.02, off: 0.04 };
+
+const FOOT_VERTEX_RADIUS = 0.14;  // meters around the foot keypoint centroid
+const MIN_CONTACT_FRAMES = 2;
+
+function footCentroid(kps, f, side) {
+  const c = [0, 0, 0];
+  for (const idx of FOOT_KEYPOINTS[side]) {
+    const o = (f * 70 + idx) * 3;
+    c[0] += kps[o]; c[1] += kps[o + 1]; c[2] += kps[o + 2];
+  }
+  const n = FOOT_KEYPOINTS[side].length;
+  return [c[0] / n, c[1] / n, c[2] / n];
+}
+
+// ─── Heights ─────────────────────────────────────────────────────────────────
+
+// → {left, right} Float32Array(T) lowest foot keypoint above groundY
+export function keypointFootHeights(kps, T, groundY, ySign) {
+  const out = {};
+  for (const side of FOOT_SIDES) {
+    const h = out[side] = new Float32Array(T);
+    for (let f = 0; f < T; f++) {
+      let min = Infinity;
+      for (const idx of FOOT_KEYPOINTS[side]) min = Math.min(min, ySign * kps[(f * 70 + idx) * 3 + 1]);
+      h[f] = min - groundY;
+    }
+  }
+  return out;
+}
+
+// Mesh vertices belonging to each foot, picked at frame f: within
+// FOOT_VERTEX_RADIUS of that foot's keypoints and nearer it than the other
+// → {left, right} Uint32Array of vertex indices
+export function assignFootVertices(vertices, V, kps, f) {
+  const centers = { left: footCentroid(kps, f, 'left'), right: footCentroid(kps, f, 'right') };
+  const picked = { left: [], right: [] };
+  const base = f * V * 3;
+  for (let i = 0; i < V; i++) {
+    const o = base + i * 3;
+    let best = null, bestD = FOOT_VERTEX_RADIUS;
+    for (const side of FOOT_SIDES) {
+      const c = centers[side];
+      const d = Math.hypot(vertices[o] - c[0], vertices[o + 1] - c[1], vertices[o + 2] - c[2]);
+      if (d < bestD) { bestD = d; best = side; }
+    }
+    if (best) picked[best].push(i);
+  }
+  return { left: Uint32Array.from(picked.left), right: Uint32Array.from(picked.right) };
+}
+
+// → {left, right} Float32Array(T) lowest foot vertex above groundY
+export function meshFootHeights(vertices, V, T, footVertices, groundY, ySign) {
+  const out = {};
+  for (const side of FOOT_SIDES) {
+    const h = out[side] = new Float32Array(T);
+    const idx = footVertices[side];
+    for (let f = 0; f < T; f++) {
+      const base = f * V * 3 + 1;
+      let min = Infinity;
+      for (let k = 0; k < idx.length; k++) min = Math.min(min, ySign * vertices[base + idx[k] * 3]);
+      h[f] = idx.length ? min - groundY : NaN;
+    }
+  }
+  return out;
+}
+
+// ─── Contacts ────────────────────────────────────────────────────────────────
+
+// heights: {left, right}; thresholds: {on, off}. Intervals are split at the
+// turn boundaries so every turn gets its own footprint.
+// → [{side, start, end (inclusive), turn}] sorted by start; turn is the
+//   index of the last boundary ≤ start, or −1 before the first
+export function detectContacts(heights, thresholds, boundaries = []) {
+  const contacts = [];
+  for (const side of FOOT_SIDES) {
+    const h = heights[side];
+    let start = -1;
+    for (let f = 0; f <= h.length; f++) {
+      const v = f < h.length ? h[f] : NaN;
+      const grounded = start >= 0 ? v < thresholds.off : v < thresholds.on;
+      if (grounded && start < 0) start = f;
+      else if (!grounded && start >= 0) {
+        if (f - start >= MIN_CONTACT_FRAMES) contacts.push(...splitAtBoundaries(side, start, f - 1, boundaries));
+        start = -1;
+      }
+    }
+  }
+  return contacts.sort((a, b) => a.start - b.start || a.side.localeCompare(b.side));
+}
+
+function turnAt(frame, boundaries) {
+  let turn = -1;
+  boundaries.forEach((b, i) => { if (b <= frame) turn = i; });
+  return turn;
+}
+
+function splitAtBoundaries(side, start, end, boundaries) {
+  const cuts = boundaries.filter(b => b > start && b <= end);
+  const out = [];
+  let s = start;
+  for (const c of [...cuts, end + 1]) {
+    out.push({ side, start: s, end: c - 1, turn: turnAt(s, boundaries) });
+    s = c;
+  }
+  return out;
+}
+
+// Heel and toe of a foot at frame f, in the stored space → {heel, toe} [x, y, z]
+export function footprintPose(kps, f, side) {
+  const at = (idx) => {
+    const o = (f * 70 + idx) * 3;
+    return [kps[o], kps[o + 1], kps[o + 2]];
+  };
+  return { heel: at(K[`${side}_heel`]), toe: at(K[`${side}_big_toe`]) };
+}
@@ -0,0 +1,52 @@
+/**
+ * Frame chunk scheduling for progressive vertex loading.
+ *
+ * Pure module. No DOM or Three.js. Chunks are [start, end) frame ranges of a
+ * fixed size; the plan fetches the chunk holding the first displayed frame,
+ * then the throw window, then everything else.
+ */
+
+// → [[start, end), ...] in fetch order
+export function planFrameChunks(T, chunkFrames, firstFrame, priority) {
+  const chunks = [];
+  for (let s = 0; s < T; s += chunkFrames) chunks.push([s, Math.min(T, s + chunkFrames)]);
+
+  const contains = (c, f) => f >= c[0] && f < c[1];
+  const overlaps = (c, a, b) => c[0] <= b && c[1] > a;
+  const rank = (c) => {
+    if (contains(c, firstFrame)) return 0;
+    if (priority && overlaps(c, priority[0], priority[1])) return 1;
+    return 2;
+  };
+  return chunks
+    .map((c, i) => ({ c, i, r: rank(c) }))
+    .sort((a, b) => a.r - b.r || a.i - b.i)
+    .map(x => x.c);
+}
+
+// Move the chunk holding frame to the front of queue (in place)
+export function prioritizeChunk(queue, frame) {
+  const i = queue.findIndex(c => frame >= c[0] && frame < c[1]);
+  if (i > 0) queue.unshift(queue.splice(i, 1)[0]);
+}
+
+// Runs of loaded frames (loaded[f] truthy) within [min, max] → [[start, end), ...]
+export function loadedRuns(loaded, min, max) {
+  const runs = [];
+  let start = -1;
+  for (let f = min; f <= max + 1; f++) {
+    const on = f <= max && loaded[f];
+    if (on && start < 0) start = f;
+    else if (!on && start >= 0) { runs.push([start, f]); start = -1; }
+  }
+  return runs;
+}
+
+// Closest loaded frame to frame (ties go earlier), or -1 if none
+export function nearestLoaded(loaded, frame) {
+  for (let d = 0; d < loaded.length; d++) {
+    if (frame - d >= 0 && loaded[frame - d]) return frame - d;
+    if (frame + d < loaded.length && loaded[frame + d]) return frame + d;
+  }
+  return -1;
+}
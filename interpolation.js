@@ -0,0 +1,51 @@
+/**
+ * Sub-frame interpolation — per-frame samples blended at a fractional frame.
+ *
+ * Pure module. No DOM or Three.js. Data are flat T × stride arrays in their
+ * stored space (flipping into Three.js space is the caller's job). Frame
+ * p = f + t blends frames f and f + 1; where one side is missing, the
+ * nearest sample (Math.round(p)) is used so blended and integer-frame
+ * rendering agree on what is shown.
+ */
+
+function neighbours(p, T) {
+  const f0 = Math.max(0, Math.min(Math.floor(p), T - 1));
+  const f1 = Math.min(f0 + 1, T - 1);
+  return { f0, f1, t: Math.min(1, Math.max(0, p - f0)) };
+}
+
+// → out (length stride), the blend of the two frames around p
+export function blendFrames(data, stride, p, out) {
+  const { f0, f1, t } = neighbours(p, data.length / stride);
+  const a = f0 * stride;
+  const b = f1 * stride;
+  for (let i = 0; i < stride; i++) {
+    const va = data[a + i];
+    const vb = data[b + i];
+    out[i] = Number.isFinite(va) && Number.isFinite(vb) ? va + (vb - va) * t : (t < 0.5 ? va : vb);
+  }
+  return out;
+}
+
+// The viewer's one rule for a hammer sample: NaN = not tracked (after max
+// height), all zero = legacy invalid marker
+export function isHammerSampleValid(hammer, f) {
+  const o = f * 3;
+  return !isNaN(hammer[o]) && !(hammer[o] === 0 && hammer[o + 1] === 0 && hammer[o + 2] === 0);
+}
+
+// Hammer at frame p → [x, y, z], or null where it is hidden. Linear between
+// two valid samples; next to an invalid one it holds the nearest sample, so
+// it disappears at the same frame as it does without interpolation.
+export function blendHammer(hammer, p) {
+  const { f0, f1, t } = neighbours(p, hammer.length / 3);
+  const v0 = isHammerSampleValid(hammer, f0);
+  const v1 = isHammerSampleValid(hammer, f1);
+  if (v0 && v1) {
+    const a = f0 * 3, b = f1 * 3;
+    return [0, 1, 2].map(k => hammer[a + k] + (hammer[b + k] - hammer[a + k]) * t);
+  }
+  const near = t < 0.5 ? f0 : f1;
+  if (!(near === f0 ? v0 : v1)) return null;
+  return [hammer[near * 3], hammer[near * 3 + 1], hammer[near * 3 + 2]];
+}
@@ -0,0 +1,96 @@
+/**
+ * Joint angle time series — knee, hip and elbow flexion and thorax rotation.
+ *
+ * Pure math module. No DOM or Three.js. Input is the full MHR70 keypoint
+ * array in Y-up meters (Three.js space), T × 70 × 3, with NaN marking
+ * missing keypoints; a frame with any needed keypoint missing gives NaN.
+ * Flexion angles are 0° with the limb straight. Thorax rotation is the
+ * heading of the chest (the horizontal normal of the shoulder line),
+ * unwrapped across frames so each turn adds about 360°.
+ */
+
+import { MHR70_INDEX as K } from './mhr70.js';
+
+// Series the viewer can plot, in menu order. thorax needs thoraxRotation().
+export const JOINT_ANGLE_SERIES = [
+  { key: 'kneeL', label: 'L knee', color: '#1f5fbf' },
+  { key: 'kneeR', label: 'R knee', color: '#d9731a' },
+  { key: 'hipL', label: 'L hip', color: '#5a9be8' },
+  { key: 'hipR', label: 'R hip', color: '#f0a64f' },
+  { key: 'elbowL', label: 'L elbow', color: '#7b4fc9' },
+  { key: 'elbowR', label: 'R elbow', color: '#c93f6b' },
+  { key: 'thorax', label: 'Thorax rot.', color: '#2e8b57' },
+];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function point(kps, f, idx) {
+  const o = (f * 70 + idx) * 3;
+  return [kps[o], kps[o + 1], kps[o + 2]];
+}
+
+// 180° minus the angle at b between b→a and b→c
+function flexionDeg(a, b, c) {
+  const u = [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const v = [c[0] - b[0], c[1] - b[1], c[2] - b[2]];
+  const lu = Math.hypot(u[0], u[1], u[2]);
+  const lv = Math.hypot(v[0], v[1], v[2]);
+  if (!(lu > 0 && lv > 0)) return NaN;  // also catches NaN lengths
+  const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (lu * lv);
+  return 180 - Math.acos(Math.max(-1, Math.min(1, cos))) * (180 / Math.PI);
+}
+
+// Add ±360° steps so consecutive valid values never jump by more than 180°
+function unwrapDeg(values) {
+  let prev = NaN, offset = 0;
+  for (let f = 0; f < values.length; f++) {
+    const v = values[f];
+    if (isNaN(v)) continue;
+    if (!isNaN(prev)) {
+      const d = v + offset - prev;
+      offset -= Math.round(d / 360) * 360;
+    }
+    values[f] = v + offset;
+    prev = values[f];
+  }
+  return values;
+}
+
+// ─── Series ──────────────────────────────────────────────────────────────────
+
+// → {kneeL, kneeR, hipL, hipR, elbowL, elbowR, thoraxHeading} Float32Array(T) each.
+// thoraxHeading uses the azimuth convention of orbit.js (atan2(x, z), degrees).
+export function computeJointAngles(kps, T) {
+  const out = {};
+  for (const key of ['kneeL', 'kneeR', 'hipL', 'hipR', 'elbowL', 'elbowR', 'thoraxHeading']) {
+    out[key] = new Float32Array(T);
+  }
+
+  for (let f = 0; f < T; f++) {
+    const p = (idx) => point(kps, f, idx);
+    out.kneeL[f] = flexionDeg(p(K.left_hip), p(K.left_knee), p(K.left_ankle));
+    out.kneeR[f] = flexionDeg(p(K.right_hip), p(K.right_knee), p(K.right_ankle));
+    out.hipL[f] = flexionDeg(p(K.left_shoulder), p(K.left_hip), p(K.left_knee));
+    out.hipR[f] = flexionDeg(p(K.right_shoulder), p(K.right_hip), p(K.right_knee));
+    out.elbowL[f] = flexionDeg(p(K.left_shoulder), p(K.left_elbow), p(K.left_wrist));
+    out.elbowR[f] = flexionDeg(p(K.right_shoulder), p(K.right_elbow), p(K.right_wrist));
+
+    // Chest normal = up × (right − left shoulder), projected on the ground
+    const l = p(K.left_shoulder), r = p(K.right_shoulder);
+    const sx = r[0] - l[0], sz = r[2] - l[2];
+    out.thoraxHeading[f] = (sx === 0 && sz === 0) ? NaN : Math.atan2(sz, -sx) * (180 / Math.PI);
+  }
+  unwrapDeg(out.thoraxHeading);
+  return out;
+}
+
+// Thorax heading relative to the circle's 0° direction (zeroYaw, radians),
+// shifted by whole turns so the first valid frame lies in (−180°, 180°]
+export function thoraxRotation(heading, zeroYaw) {
+  const out = new Float32Array(heading.length);
+  const zeroDeg = zeroYaw * (180 / Math.PI);
+  const first = heading.find(v => !isNaN(v));
+  const shift = first === undefined ? 0 : -Math.ceil((first - zeroDeg - 180) / 360) * 360;
+  for (let f = 0; f < heading.length; f++) out[f] = heading[f] - zeroDeg + shift;
+  return out;
+}
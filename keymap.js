@@ -0,0 +1,128 @@
+/**
+ * Keyboard map — viewer actions, their default keys and user overrides.
+ *
+ * Pure module. No DOM or Three.js. A key is a combo string of modifiers and
+ * a KeyboardEvent.code, e.g. 'Shift+ArrowRight' or 'Digit3', so bindings
+ * follow key positions rather than the layout's characters. A keymap maps
+ * action id → combo, or null when the action is unbound.
+ */
+
+// Overlay toggles by data-target, in toolbar order
+const OVERLAYS = [
+  ['planes', 'Leg Planes', 'Digit1'],
+  ['backtilt', 'Back Tilt', 'Digit2'],
+  ['separation', 'Separation', 'Digit3'],
+  ['circle', 'Circle', 'Digit4'],
+  ['maxmin', 'Max/Min', 'Digit5'],
+  ['orbit', 'Orbit', 'Digit6'],
+  ['speed', 'Speed', 'Digit7'],
+  ['angles', 'Angles', 'Digit8'],
+  ['com', 'COM', 'Digit9'],
+  ['feet', 'Feet', 'Digit0'],
+  ['trail', 'Trail', 'Shift+Digit1'],
+  ['skeleton', 'Skeleton', 'Shift+Digit2'],
+];
+
+// repeat: the action runs again while the key is held
+export const KEY_ACTIONS = [
+  { id: 'playPause', group: 'Playback', label: 'Play / pause', key: 'Space' },
+  { id: 'stepBack', group: 'Playback', label: 'Back 1 frame', key: 'ArrowLeft', repeat: true },
+  { id: 'stepForward', group: 'Playback', label: 'Forward 1 frame', key: 'ArrowRight', repeat: true },
+  { id: 'step5Back', group: 'Playback', label: 'Back 5 frames', key: 'Shift+ArrowLeft', repeat: true },
+  { id: 'step5Forward', group: 'Playback', label: 'Forward 5 frames', key: 'Shift+ArrowRight', repeat: true },
+  { id: 'step10Back', group: 'Playback', label: 'Back 10 frames', key: 'ArrowDown', repeat: true },
+  { id: 'step10Forward', group: 'Playback', label: 'Forward 10 frames', key: 'ArrowUp', repeat: true },
+  { id: 'first', group: 'Playback', label: 'First frame', key: 'Home' },
+  { id: 'last', group: 'Playback', label: 'Last frame', key: 'End' },
+  { id: 'speedDown', group: 'Playback', label: 'Slower', key: 'Minus' },
+  { id: 'speedUp', group: 'Playback', label: 'Faster', key: 'Equal' },
+  { id: 'cycleSpeed', group: 'Playback', label: 'Cycle speeds', key: 'KeyS' },
+  { id: 'reverse', group: 'Playback', label: 'Reverse direction', key: 'Shift+Space' },
+  { id: 'smooth', group: 'Playback', label: 'Smooth (blend frames)', key: 'KeyI' },
+  { id: 'jog', group: 'Playback', label: 'Jog mode (drag to scrub)', key: 'KeyJ' },
+
+  { id: 'prevTurn', group: 'Jump', label: 'Previous turn boundary', key: 'BracketLeft' },
+  { id: 'nextTurn', group: 'Jump', label: 'Next turn boundary', key: 'BracketRight' },
+  { id: 'prevSupport', group: 'Jump', label: 'Previous SS/DS change', key: 'Shift+BracketLeft' },
+  { id: 'nextSupport', group: 'Jump', label: 'Next SS/DS change', key: 'Shift+BracketRight' },
+  { id: 'jumpStart', group: 'Jump', label: 'T0 (throw start)', key: 'KeyT' },
+  { id: 'jumpRelease', group: 'Jump', label: 'Release', key: 'KeyR' },
+  { id: 'prevNote', group: 'Jump', label: 'Previous note', key: 'Shift+KeyN' },
+  { id: 'nextNote', group: 'Jump', label: 'Next note', key: 'KeyN' },
+
+  { id: 'loopA', group: 'Loop', label: 'Set loop A', key: 'KeyA' },
+  { id: 'loopB', group: 'Loop', label: 'Set loop B', key: 'KeyB' },
+  { id: 'loopClear', group: 'Loop', label: 'Clear loop', key: 'KeyL' },
+
+  ...OVERLAYS.map(([target, label, key]) => ({ id: `toggle:${target}`, group: 'Overlays', label, key })),
+
+  { id: 'resetView', group: 'View', label: 'Reset view', key: 'KeyV' },
+  { id: 'fullscreen', group: 'View', label: 'Fullscreen', key: 'KeyF' },
+  { id: 'help', group: 'View', label: 'Show this help', key: 'Shift+Slash' },
+];
+
+const MODIFIER_CODES = /^(Shift|Control|Alt|Meta)(Left|Right)$/;
+
+// → combo string, or null for a bare modifier press
+export function comboFromEvent(e) {
+  if (MODIFIER_CODES.test(e.code) || !e.code) return null;
+  const mods = [];
+  if (e.ctrlKey) mods.push('Ctrl');
+  if (e.altKey) mods.push('Alt');
+  if (e.shiftKey) mods.push('Shift');
+  if (e.metaKey) mods.push('Meta');
+  return [...mods, e.code].join('+');
+}
+
+const CODE_LABELS = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+  BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Slash: '/',
+  Comma: ',', Period: '.', Semicolon: ';', Quote: "'", Backquote: '`', Backslash: '\\',
+  Escape: 'Esc',
+};
+
+// Readable form of a combo, e.g. 'Shift+→'
+export function comboLabel(combo) {
+  if (!combo) return '—';
+  if (combo === 'Shift+Slash') return '?';
+  const parts = combo.split('+');
+  const code = parts.pop();
+  const key = CODE_LABELS[code] || code.replace(/^(Key|Digit|Numpad)/, '');
+  return [...parts, key].join('+');
+}
+
+// Defaults with the stored overrides applied → keymap
+export function resolveKeymap(overrides = {}) {
+  const keymap = {};
+  for (const a of KEY_ACTIONS) {
+    keymap[a.id] = Object.prototype.hasOwnProperty.call(overrides, a.id) ? overrides[a.id] : a.key;
+  }
+  return keymap;
+}
+
+// → Map(combo → action id)
+export function keymapLookup(keymap) {
+  const lookup = new Map();
+  for (const [id, combo] of Object.entries(keymap)) if (combo) lookup.set(combo, id);
+  return lookup;
+}
+
+// Bind combo (or null) to an action. Any other action on that combo is
+// unbound so one key never does two things.
+// → {overrides, displaced: action id or null}
+export function bindKey(overrides, actionId, combo) {
+  const keymap = resolveKeymap(overrides);
+  const next = { ...overrides, [actionId]: combo };
+  let displaced = null;
+  if (combo) {
+    for (const [id, c] of Object.entries(keymap)) {
+      if (id !== actionId && c === combo) {
+        next[id] = null;
+        displaced = id;
+      }
+    }
+  }
+  // Keep only what differs from the defaults
+  for (const a of KEY_ACTIONS) if (next[a.id] === a.key) delete next[a.id];
+  return { overrides: next, displaced };
+}
@@ -0,0 +1,197 @@
+/**
+ * Hammer head kinematics — velocity, acceleration, speed and release estimate.
+ *
+ * Pure math module. No DOM or Three.js. Input positions are Y-up meters
+ * (Three.js space) with NaN marking invalid frames; derivatives never
+ * cross a gap. Velocity comes straight from the tracked samples: smoothing
+ * positions first cuts the chord of the fast circle and reads the speed
+ * low (~15% mid-run, ~45% at the end of a run, where release falls). Only
+ * the speed is smoothed, with a window kept centered so a rising speed is
+ * not dragged down. Frames whose stencil or window touches propagated,
+ * kink-fixed or spline-filled positions are flagged low-confidence.
+ */
+
+// fill_type values that are reconstructed rather than tracked
+// (0=raw, 1=manual, 2=propagated, 3=kink_replaced, 4=spline)
+export const LOW_CONFIDENCE_FILL = new Set([2, 3, 4]);
+
+const SMOOTH_WEIGHTS = [1, 2, 3, 2, 1];  // speed only, shrunk to stay centered
+const STENCIL_REACH = 2;
+
+// First-derivative weights (per frame) for the frames lo..hi around f —
+// the widest centered stencil the run allows: 5-point mid-run (within 0.2%
+// on a 25 m/s circle at 24 fps), 4-point next to a run edge. On the edge
+// itself only a one-sided stencil is possible: it reads a few % high and
+// amplifies tracking noise, so edge frames are flagged low-confidence.
+const STENCILS = {
+  '-2,2': [1 / 12, -8 / 12, 0, 8 / 12, -1 / 12],
+  '-1,2': [-2 / 6, -3 / 6, 6 / 6, -1 / 6],
+  '-2,1': [1 / 6, -6 / 6, 3 / 6, 2 / 6],
+  '-1,1': [-1 / 2, 0, 1 / 2],
+  '0,2': [-3 / 2, 4 / 2, -1 / 2],
+  '-2,0': [1 / 2, -4 / 2, 3 / 2],
+  '0,1': [-1, 1],
+  '-1,0': [-1, 1],
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function isValid(positions, f) {
+  return !isNaN(positions[f * 3]);
+}
+
+// Valid frames on each side of f before a gap, up to `limit`
+function runReach(valid, f, T, limit) {
+  let back = 0, fwd = 0;
+  while (back < limit && f - back - 1 >= 0 && valid(f - back - 1)) back++;
+  while (fwd < limit && f + fwd + 1 < T && valid(f + fwd + 1)) fwd++;
+  return { back, fwd };
+}
+
+// Velocity (T*3) from positions; NaN for invalid and isolated frames.
+// oneSided[f] = 1 where f is a run edge and only one side could be used.
+function stencilVelocity(positions, T, fps) {
+  const velocity = new Float32Array(T * 3).fill(NaN);
+  const oneSided = new Uint8Array(T);
+  const valid = (g) => isValid(positions, g);
+  for (let f = 0; f < T; f++) {
+    if (!valid(f)) continue;
+    const { back, fwd } = runReach(valid, f, T, STENCIL_REACH);
+    if (back === 0 && fwd === 0) continue;
+    if (back === 0 || fwd === 0) oneSided[f] = 1;
+    const weights = STENCILS[`${-back},${fwd}`];
+    for (let c = 0; c < 3; c++) {
+      let d = 0;
+      weights.forEach((w, i) => { d += w * positions[(f - back + i) * 3 + c]; });
+      velocity[f * 3 + c] = d * fps;
+    }
+  }
+  return { velocity, oneSided };
+}
+
+// Weighted moving average of a per-frame series inside each run of valid
+// frames, with the window shrunk to stay symmetric near a run edge. Edge
+// (one-sided) values are kept as they are and left out of other windows.
+function smoothCentered(values, oneSided, T) {
+  const out = new Float32Array(T).fill(NaN);
+  const valid = (g) => !isNaN(values[g]) && !oneSided[g];
+  const full = (SMOOTH_WEIGHTS.length - 1) / 2;
+  for (let f = 0; f < T; f++) {
+    if (oneSided[f]) out[f] = values[f];
+    if (!valid(f)) continue;
+    const { back, fwd } = runReach(valid, f, T, full);
+    const half = Math.min(back, fwd);
+    let sum = 0, sw = 0;
+    for (let k = -half; k <= half; k++) {
+      const w = SMOOTH_WEIGHTS[k + full];
+      sum += values[f + k] * w;
+      sw += w;
+    }
+    out[f] = sum / sw;
+  }
+  return out;
+}
+
+// Central difference, one-sided at run edges; NaN for isolated frames
+function differentiate(values, T, fps) {
+  const out = new Float32Array(T * 3).fill(NaN);
+  for (let f = 0; f < T; f++) {
+    if (isNaN(values[f * 3])) continue;
+    const hasPrev = f > 0 && !isNaN(values[(f - 1) * 3]);
+    const hasNext = f < T - 1 && !isNaN(values[(f + 1) * 3]);
+    if (!hasPrev && !hasNext) continue;
+    const a = hasPrev ? f - 1 : f;
+    const b = hasNext ? f + 1 : f;
+    const scale = fps / (b - a);
+    for (let c = 0; c < 3; c++) {
+      out[f * 3 + c] = (values[b * 3 + c] - values[a * 3 + c]) * scale;
+    }
+  }
+  return out;
+}
+
+function magnitudes(vectors, T) {
+  const out = new Float32Array(T);
+  for (let f = 0; f < T; f++) {
+    const x = vectors[f * 3], y = vectors[f * 3 + 1], z = vectors[f * 3 + 2];
+    out[f] = Math.sqrt(x * x + y * y + z * z);  // NaN propagates
+  }
+  return out;
+}
+
+// ─── Kinematics ──────────────────────────────────────────────────────────────
+
+// Returns {velocity, accel (T*3, m/s, m/s²), speed (smoothed), accelMag (T),
+//          lowConfidence, oneSided (Uint8Array T), maxSpeed}
+export function computeKinematics(positions, fillType, fps) {
+  const T = positions.length / 3;
+  const { velocity, oneSided } = stencilVelocity(positions, T, fps);
+  const accel = differentiate(velocity, T, fps);
+  const speed = smoothCentered(magnitudes(velocity, T), oneSided, T);
+  const accelMag = magnitudes(accel, T);
+
+  // Low confidence on run edges and when any reconstructed frame feeds the
+  // stencil + smoothing window
+  const reach = STENCIL_REACH + (SMOOTH_WEIGHTS.length - 1) / 2;
+  const lowConfidence = oneSided.slice();
+  if (fillType) {
+    for (let f = 0; f < T; f++) {
+      if (!LOW_CONFIDENCE_FILL.has(fillType[f])) continue;
+      for (let g = Math.max(0, f - reach); g <= Math.min(T - 1, f + reach); g++) lowConfidence[g] = 1;
+    }
+  }
+
+  let maxSpeed = 0;
+  for (let f = 0; f < T; f++) {
+    if (!oneSided[f] && speed[f] > maxSpeed) maxSpeed = speed[f];
+  }
+
+  return { velocity, accel, speed, accelMag, lowConfidence, oneSided, maxSpeed };
+}
+
+// Peak speed inside each turn (between consecutive boundaries, the last one
+// running to release) → [{label, start, end, frame, speed, lowConfidence}]
+export function peakSpeedPerTurn(kin, boundaries, labels, releaseFrame) {
+  const peaks = [];
+  if (!boundaries) return peaks;
+  const ends = boundaries.slice(1);
+  if (releaseFrame > boundaries[boundaries.length - 1]) ends.push(releaseFrame);
+  for (let i = 0; i < ends.length; i++) {
+    const start = boundaries[i], end = ends[i];
+    let best = -1, bestFrame = start;
+    for (let f = start; f <= end; f++) {
+      if (kin.speed[f] > best) { best = kin.speed[f]; bestFrame = f; }
+    }
+    if (best < 0) continue;
+    peaks.push({
+      label: labels ? labels[i] : `T${i}`,
+      start, end,
+      frame: bestFrame,
+      speed: best,
+      lowConfidence: !!kin.lowConfidence[bestFrame],
+    });
+  }
+  return peaks;
+}
+
+// Release speed and angle above horizontal, from the last valid velocity
+// at or before the release frame → {frame, speed, angle, lowConfidence} or null.
+// Tracking usually ends at release; the edge frame's one-sided estimate is
+// passed over for the frame before it, whose stencil is centered.
+export function estimateRelease(kin, releaseFrame) {
+  if (releaseFrame == null) return null;
+  const first = Math.max(0, releaseFrame - 5);
+  const pick = (f) => !isNaN(kin.speed[f]) && !(kin.oneSided[f] && f > first && !isNaN(kin.speed[f - 1]));
+  for (let f = releaseFrame; f >= first; f--) {
+    if (!pick(f)) continue;
+    const vx = kin.velocity[f * 3], vy = kin.velocity[f * 3 + 1], vz = kin.velocity[f * 3 + 2];
+    const horiz = Math.sqrt(vx * vx + vz * vz);
+    return {
+      frame: f,
+      speed: kin.speed[f],
+      angle: Math.atan2(vy, horiz) * (180 / Math.PI),
+      lowConfidence: !!kin.lowConfidence[f],
+    };
+  }
+  return null;
+}
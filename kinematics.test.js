@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeKinematics, estimateRelease } from './kinematics.js';
+
+// Hammer head on a level circle at constant speed, tracked for frames
+// 0..tracked-1 and NaN after, like a throw whose tracking ends at release
+function circle({ frames = 60, tracked = 40, fps = 24, radius = 2, speed = 25 } = {}) {
+  const positions = new Float32Array(frames * 3).fill(NaN);
+  for (let f = 0; f < tracked; f++) {
+    const a = (speed / radius) * (f / fps);
+    positions.set([radius * Math.cos(a), 1.2, radius * Math.sin(a)], f * 3);
+  }
+  return positions;
+}
+
+const near = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual / expected - 1) <= tolerance, `${actual.toFixed(2)} is not within ${tolerance * 100}% of ${expected}`);
+};
+
+test('speed matches a known circular speed mid-run', () => {
+  for (const fps of [24, 30]) {
+    const kin = computeKinematics(circle({ fps }), null, fps);
+    for (let f = 2; f <= 37; f++) near(kin.speed[f], 25, 0.01);
+    near(kin.maxSpeed, 25, 0.01);
+  }
+});
+
+test('release at the end of the tracked run is not understated', () => {
+  for (const fps of [24, 30]) {
+    const kin = computeKinematics(circle({ fps }), null, fps);
+    const release = estimateRelease(kin, 39);
+    assert.equal(release.frame, 38);
+    near(release.speed, 25, 0.03);
+    assert.ok(Math.abs(release.angle) < 0.5);
+  }
+});
+
+test('run edges are flagged low-confidence and gaps are not crossed', () => {
+  const positions = circle({ tracked: 40 });
+  positions.fill(NaN, 20 * 3, 23 * 3);
+  const kin = computeKinematics(positions, null, 24);
+  for (const f of [0, 19, 23, 39]) assert.equal(kin.lowConfidence[f], 1);
+  assert.equal(kin.lowConfidence[10], 0);
+  for (const f of [20, 21, 22, 40]) assert.ok(isNaN(kin.speed[f]));
+  near(kin.speed[17], 25, 0.01);
+  near(kin.speed[25], 25, 0.01);
+});
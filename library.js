@@ -0,0 +1,145 @@
+/**
+ * ThrowSage Library — landing page listing every throw in throws.json.
+ *
+ * Reads the manifest, fetches each throw's metadata.json and renders a card.
+ * Cards open the one shared viewer (index.html?throw=<dir>) rather than a
+ * per-directory copy of it.
+ */
+
+import {
+  cleanThrowName, parseThrowDate, countTurns, throwFileUrl, thumbnailUrl, escapeHtml,
+} from './throw-info.js';
+import { registerOfflineWorker, isThrowSaved } from './offline-cache.js';
+import { validateMetadata } from './metadata-schema.js';
+
+const MANIFEST_URL = 'throws.json';
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+let entries = [];   // [{dir, meta, name, date}, ...] or {dir, error}
+
+// ─── DOM refs ────────────────────────────────────────────────────────────────
+
+const grid = document.getElementById('library-grid');
+const statusEl = document.getElementById('library-status');
+const countEl = document.getElementById('throw-count');
+const searchInput = document.getElementById('library-search');
+const sortSelect = document.getElementById('library-sort');
+
+// ─── Load ────────────────────────────────────────────────────────────────────
+
+async function loadManifest() {
+  const resp = await fetch(MANIFEST_URL);
+  if (!resp.ok) throw new Error(`${MANIFEST_URL} not found (${resp.status})`);
+  const manifest = await resp.json();
+  // Entries are directory strings or {dir} objects
+  return (manifest.throws || []).map(t => (typeof t === 'string' ? t : t.dir));
+}
+
+async function loadEntry(dir) {
+  const base = dir === '.' ? '' : dir;
+  try {
+    const resp = await fetch(base ? `${base}/metadata.json` : 'metadata.json');
+    if (!resp.ok) throw new Error(`metadata.json ${resp.status}`);
+    const meta = await resp.json();
+    // A card needs frame_count, fps etc.; an invalid file becomes a broken card
+    const { problems } = validateMetadata(meta);
+    if (problems.length) {
+      const more = problems.length > 1 ? ` (+${problems.length - 1} more)` : '';
+      throw new Error(`metadata.json: ${problems[0]}${more}`);
+    }
+    return { dir: base, meta, name: cleanThrowName(meta) || base || '(root)', date: parseThrowDate(meta.throw) };
+  } catch (err) {
+    return { dir: base, error: err.message };
+  }
+}
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+
+function viewerUrl(dir) {
+  return dir ? `index.html?throw=${encodeURIComponent(dir)}` : 'index.html';
+}
+
+function formatDate(date) {
+  if (!date) return 'Undated';
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function renderCard(entry) {
+  const card = document.createElement('a');
+  card.className = 'throw-card';
+
+  if (entry.error) {
+    card.classList.add('broken');
+    card.innerHTML =
+      `<div class="thumb missing"></div>` +
+      `<div class="card-body"><div class="card-name">${escapeHtml(entry.dir || '(root)')}</div>` +
+      `<div class="card-meta error">${escapeHtml(entry.error)}</div></div>`;
+    return card;
+  }
+
+  const meta = entry.meta;
+  const tw = meta.throw_window || {};
+  const thumb = thumbnailUrl(meta, entry.dir, tw.start || 0);
+  const duration = meta.frame_count / meta.fps;
+
+  // Saved copies are keyed by the absolute metadata.json URL, as in the viewer
+  const saved = isThrowSaved(new URL(throwFileUrl(entry.dir, 'metadata.json'), window.location.href).href);
+
+  card.href = viewerUrl(entry.dir);
+  card.innerHTML =
+    (thumb ? `<img class="thumb" loading="lazy" alt="" src="${escapeHtml(thumb)}">` : `<div class="thumb missing"></div>`) +
+    `<div class="card-body">` +
+    `<div class="card-name">${escapeHtml(entry.name)}</div>` +
+    `<div class="card-date">${formatDate(entry.date)}</div>` +
+    `<div class="card-meta">${meta.frame_count} frames · ${meta.fps.toFixed(1)} fps · ${duration.toFixed(1)}s</div>` +
+    `<div class="card-meta">${countTurns(meta)} turns · ${escapeHtml(entry.dir || '(root)')}</div>` +
+    (saved ? `<div class="card-offline">Saved offline</div>` : '') +
+    `</div>`;
+
+  const img = card.querySelector('img.thumb');
+  if (img) img.addEventListener('error', () => img.classList.add('missing'));
+  return card;
+}
+
+function render() {
+  const query = searchInput.value.trim().toLowerCase();
+  const shown = entries.filter(e => {
+    if (!query) return true;
+    return [e.name, e.dir, e.meta && e.meta.throw].some(s => typeof s === 'string' && s.toLowerCase().includes(query));
+  });
+
+  shown.sort((a, b) => {
+    if (a.error || b.error) return a.error ? 1 : -1;
+    if (sortSelect.value === 'date') {
+      const da = a.date ? a.date.getTime() : -Infinity;
+      const db = b.date ? b.date.getTime() : -Infinity;
+      if (da !== db) return db - da;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  grid.innerHTML = '';
+  for (const entry of shown) grid.appendChild(renderCard(entry));
+  countEl.textContent = `${shown.length} of ${entries.length} throws`;
+  statusEl.textContent = shown.length ? '' : 'No throws match the filter';
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  registerOfflineWorker();
+  let dirs;
+  try {
+    dirs = await loadManifest();
+  } catch (err) {
+    statusEl.textContent = `Failed to load library: ${err.message}`;
+    return;
+  }
+  entries = await Promise.all(dirs.map(loadEntry));
+  searchInput.addEventListener('input', render);
+  sortSelect.addEventListener('change', render);
+  render();
+}
+
+main();
@@ -0,0 +1,106 @@
+/**
+ * Local throw loading — turns dropped folders, picked files or zip archives
+ * into a path → Blob map rooted at the folder holding metadata.json.
+ *
+ * No network. Used by the viewer's drop zone so a throw can be opened on a
+ * static host with no data directory, or from file:// with the single-file
+ * build (build-standalone.js), where fetching local files is blocked.
+ */
+
+import { listZipEntries, extractZipEntry } from './zip.js';
+
+// ─── Collect ─────────────────────────────────────────────────────────────────
+
+function readDirectoryEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ path: prefix + entry.name, file });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns batches until an empty one
+    for (;;) {
+      const batch = await readDirectoryEntries(reader);
+      if (batch.length === 0) break;
+      for (const child of batch) await walkEntry(child, `${prefix}${entry.name}/`, out);
+    }
+  }
+}
+
+// Drag-and-drop: folders are walked recursively → [{path, file}]
+export async function collectDroppedFiles(dataTransfer) {
+  const out = [];
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.some(Boolean)) {
+    for (const entry of entries) if (entry) await walkEntry(entry, '', out);
+  } else {
+    for (const file of Array.from(dataTransfer.files || [])) out.push({ path: file.name, file });
+  }
+  return out;
+}
+
+// <input type="file" webkitdirectory> or plain multi-select → [{path, file}]
+export function collectPickedFiles(fileList) {
+  return Array.from(fileList).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+}
+
+// Replace every .zip with its contents (paths prefixed by the folder the zip
+// was in, so a zip inside a dropped folder stays where it was)
+export async function expandZips(files, onProgress) {
+  const out = [];
+  for (const { path, file } of files) {
+    if (!/\.zip$/i.test(path)) { out.push({ path, file }); continue; }
+    const p = path.replace(/\\/g, '/');
+    const dir = p.slice(0, p.lastIndexOf('/') + 1);
+    const entries = (await listZipEntries(file)).filter(e => !e.isDirectory);
+    let done = 0;
+    for (const entry of entries) {
+      out.push({ path: dir + entry.name, file: await extractZipEntry(file, entry) });
+      done++;
+      if (onProgress) onProgress(done, entries.length);
+    }
+  }
+  return out;
+}
+
+// ─── Throw Map ───────────────────────────────────────────────────────────────
+
+// Paths relative to the folder that holds the shallowest metadata.json.
+// Files outside it are kept as "../other/..." so a comparison throw dropped
+// alongside can still be found.
+// → {root, files: Map(relative path → Blob)}
+export function buildThrowFileMap(files) {
+  const metas = files
+    .map(f => f.path.replace(/\\/g, '/'))
+    .filter(p => p === 'metadata.json' || p.endsWith('/metadata.json'))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  if (metas.length === 0) throw new Error('no metadata.json among the dropped files');
+
+  const root = metas[0].slice(0, -'metadata.json'.length);
+  const rootParts = root.split('/').filter(Boolean);
+  const map = new Map();
+  for (const { path, file } of files) {
+    const parts = normalizeLocalPath(path).split('/');
+    let common = 0;
+    while (common < rootParts.length && common < parts.length - 1 && parts[common] === rootParts[common]) common++;
+    const up = rootParts.slice(common).map(() => '..');
+    map.set([...up, ...parts.slice(common)].join('/'), file);
+  }
+  return { root: root.replace(/\/$/, '') || '(dropped files)', files: map };
+}
+
+// Normalize a metadata-relative name ("./a/../b.bin" → "b.bin"). Leading
+// ".." segments are kept: they point outside the throw's folder.
+export function normalizeLocalPath(name) {
+  const out = [];
+  for (const part of name.replace(/\\/g, '/').split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..' && out.length && out[out.length - 1] !== '..') out.pop();
+    else out.push(part);
+  }
+  return out.join('/');
+}
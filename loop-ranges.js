@@ -0,0 +1,56 @@
+/**
+ * Loop ranges — A/B playback regions and the presets derived from a throw.
+ *
+ * Pure module. No DOM or Three.js. A range is {label, start, end} with both
+ * ends inclusive frames; presets also carry the `group` they are listed under.
+ */
+
+import { buildPhases } from './report.js';
+
+// A/B ends in either order, either one unset (null), clamped to min..max
+// → {start, end}
+export function loopBounds(a, b, min, max) {
+  const clamp = (f) => Math.min(max, Math.max(min, f));
+  const lo = a == null ? min : clamp(a);
+  const hi = b == null ? max : clamp(b);
+  return lo <= hi ? { start: lo, end: hi } : { start: hi, end: lo };
+}
+
+// Inclusive runs of `value` in a per-frame state array → [{start, end}]
+export function stateRuns(states, value) {
+  const runs = [];
+  let start = -1;
+  for (let f = 0; f <= states.length; f++) {
+    const on = f < states.length && states[f] === value;
+    if (on && start < 0) start = f;
+    else if (!on && start >= 0) {
+      runs.push({ start, end: f - 1 });
+      start = -1;
+    }
+  }
+  return runs;
+}
+
+// Each turn and the delivery (as in the turn report), each single-support
+// phase (supportState: 1 = SS, 2 = DS), and the last full turn to release
+export function dataRangePresets(meta, supportState, lastFrame) {
+  const presets = [];
+  for (const p of buildPhases(meta, lastFrame)) {
+    if (p.kind === 'total') continue;
+    presets.push({ group: 'Turns', label: p.label, start: p.start, end: p.end });
+  }
+
+  if (supportState) {
+    stateRuns(supportState, 1).forEach((r, i) => {
+      presets.push({ group: 'Single support', label: `SS ${i + 1}`, start: r.start, end: r.end });
+    });
+  }
+
+  const b = meta.turn_boundaries || [];
+  const release = (meta.throw_window && meta.throw_window.release) || lastFrame;
+  const lastTurn = b.length >= 2 ? b[b.length - 2] : b[0];
+  if (lastTurn != null && release > lastTurn) {
+    presets.push({ group: 'Throw', label: 'Last turn to release', start: lastTurn, end: release });
+  }
+  return presets;
+}
@@ -0,0 +1,202 @@
+/**
+ * metadata.json schema — versioned field checks and data-length checks.
+ *
+ * Pure module. No DOM or Three.js. validateMetadata() checks the JSON on its
+ * own; validateDataLengths() checks the loaded binaries against it. Both
+ * collect every problem rather than stopping at the first, so the loading
+ * overlay can list them all. Schemas are keyed on the major `version`.
+ * checkVideoInfo() compares frame_count with video-info.json, if present.
+ */
+
+import { VERTEX_ENCODINGS, vertexEncoding, encodedVertexBytes } from './vertex-codec.js';
+
+export const KEYPOINT_COUNT = 70;  // MHR70
+
+// files.* entries are a path, or {path, encoding, ...} for encoded streams
+export function filePath(entry) {
+  return typeof entry === 'string' ? entry : (entry && entry.path) || null;
+}
+
+// ─── Field Checks ────────────────────────────────────────────────────────────
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isInt = (v) => Number.isInteger(v);
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(isNum);
+
+function checkFrameIndex(problems, path, v, T) {
+  if (!isInt(v)) problems.push(`${path} must be an integer frame (got ${JSON.stringify(v)})`);
+  else if (v < 0 || v >= T) problems.push(`${path} = ${v} is outside 0..${T - 1}`);
+}
+
+// Version 3.x — the pipeline's current world/camera-space export
+function validateV3(meta, problems) {
+  const T = meta.frame_count;
+  if (!isInt(T) || T <= 0) problems.push('frame_count must be a positive integer');
+  if (!isNum(meta.fps) || meta.fps <= 0) problems.push('fps must be a positive number');
+  if (!isInt(meta.vertex_count) || meta.vertex_count <= 0) problems.push('vertex_count must be a positive integer');
+  if (!isInt(meta.face_count) || meta.face_count <= 0) problems.push('face_count must be a positive integer');
+
+  const space = meta.coord_space || 'camera';
+  if (space !== 'world' && space !== 'camera') {
+    problems.push(`coord_space must be "world" or "camera" (got ${JSON.stringify(meta.coord_space)})`);
+  }
+  if (space === 'world') {
+    for (const key of ['camera_position', 'camera_target', 'camera_up']) {
+      if (!isVec3(meta[key])) problems.push(`${key} must be [x, y, z] for world-space throws`);
+    }
+  }
+
+  if (!meta.files || typeof meta.files !== 'object') {
+    problems.push('files section is missing');
+  } else {
+    for (const key of ['vertices', 'faces', 'keypoints', 'hammer']) {
+      if (!filePath(meta.files[key])) problems.push(`files.${key} is not declared`);
+    }
+    const enc = meta.files.vertices && meta.files.vertices.encoding;
+    if (enc && !VERTEX_ENCODINGS.includes(enc)) {
+      problems.push(`files.vertices.encoding "${enc}" is not one of ${VERTEX_ENCODINGS.join(', ')}`);
+    }
+  }
+
+  // Frame-indexed annotations only make sense once frame_count is sane
+  if (!isInt(T) || T <= 0) return;
+
+  const b = meta.turn_boundaries;
+  if (b != null) {
+    if (!Array.isArray(b)) {
+      problems.push('turn_boundaries must be an array of frames');
+    } else {
+      b.forEach((f, i) => checkFrameIndex(problems, `turn_boundaries[${i}]`, f, T));
+      for (let i = 1; i < b.length; i++) {
+        if (b[i] <= b[i - 1]) problems.push(`turn_boundaries must increase (${b[i - 1]} then ${b[i]})`);
+      }
+      if (meta.turn_labels != null && (!Array.isArray(meta.turn_labels) || meta.turn_labels.length !== b.length)) {
+        problems.push(`turn_labels must have one label per turn boundary (${b.length})`);
+      }
+    }
+  }
+
+  const tw = meta.throw_window;
+  if (tw != null) {
+    if (tw.start != null) checkFrameIndex(problems, 'throw_window.start', tw.start, T);
+    if (tw.release != null) checkFrameIndex(problems, 'throw_window.release', tw.release, T);
+    if (isInt(tw.start) && isInt(tw.release) && tw.release < tw.start) {
+      problems.push(`throw_window.release (${tw.release}) is before throw_window.start (${tw.start})`);
+    }
+  }
+
+  const c = meta.circle;
+  if (c != null) {
+    if (!isVec3(c.center)) problems.push('circle.center must be [x, y, z]');
+    if (!isNum(c.radius) || c.radius <= 0) problems.push('circle.radius must be a positive number');
+  }
+
+  if (meta.pip_thumbnails != null && typeof meta.pip_thumbnails.dir !== 'string') {
+    problems.push('pip_thumbnails.dir must be a folder name');
+  }
+}
+
+const SCHEMAS = { 3: validateV3 };
+
+// → {version, problems: [string]} — empty problems means the JSON is usable
+export function validateMetadata(meta) {
+  const problems = [];
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    return { version: null, problems: ['metadata.json must be a JSON object'] };
+  }
+  const version = meta.version == null ? null : String(meta.version);
+  if (version == null) {
+    problems.push('version is missing (expected "3.0")');
+    return { version, problems };
+  }
+  const validate = SCHEMAS[parseInt(version, 10)];
+  if (!validate) {
+    problems.push(`version "${version}" is not supported (this viewer reads ${Object.keys(SCHEMAS).map(v => `${v}.x`).join(', ')})`);
+    return { version, problems };
+  }
+  validate(meta, problems);
+  return { version, problems };
+}
+
+// ─── Data Lengths ────────────────────────────────────────────────────────────
+
+// Expected element count per files.* key (typed-array length, not bytes)
+export function expectedLengths(meta) {
+  const T = meta.frame_count, V = meta.vertex_count;
+  return {
+    vertices: T * V * 3,
+    faces: meta.face_count * 3,
+    keypoints: T * KEYPOINT_COUNT * 3,
+    hammer: T * 3,
+    fill_type: T,
+    support_state: T,
+    circle_positions: T * 3,
+    leg_alignment: T,
+    separation: T,
+    back_lean: T,
+    vertex_colors: V * 3,
+  };
+}
+
+function describeMismatch(meta, key, actual, expected) {
+  const T = meta.frame_count;
+  const perFrame = { vertices: meta.vertex_count * 3, keypoints: KEYPOINT_COUNT * 3, hammer: 3 }[key];
+  let hint = '';
+  if (perFrame && actual % perFrame === 0) hint = ` — looks like ${actual / perFrame} frames, metadata says ${T}`;
+  else if (key === 'faces' && actual % 3 === 0) hint = ` — looks like ${actual / 3} faces, metadata says ${meta.face_count}`;
+  return `${filePath(meta.files[key])}: ${actual} values, expected ${expected}${hint}`;
+}
+
+// One file's length against metadata → problem message, or null if it fits
+// (or the key has no known shape)
+export function checkDataLength(meta, key, arr) {
+  const expected = expectedLengths(meta)[key];
+  if (!arr || expected == null || arr.length === expected) return null;
+  return describeMismatch(meta, key, arr.length, expected);
+}
+
+// arrays: {files key: typed array} → [problem] covering every length
+// mismatch plus face indices that point past vertex_count
+export function validateDataLengths(meta, arrays) {
+  const problems = [];
+  for (const [key, arr] of Object.entries(arrays)) {
+    const msg = checkDataLength(meta, key, arr);
+    if (msg) problems.push(msg);
+  }
+
+  const faces = arrays.faces;
+  if (faces && !checkDataLength(meta, 'faces', faces)) {
+    let bad = 0, maxIdx = -1;
+    for (let i = 0; i < faces.length; i++) {
+      const v = faces[i];
+      if (v < 0 || v >= meta.vertex_count) { bad++; if (v > maxIdx) maxIdx = v; }
+    }
+    if (bad) problems.push(`${filePath(meta.files.faces)}: ${bad} indices outside 0..${meta.vertex_count - 1} (max ${maxIdx}) — vertex_count may be wrong`);
+  }
+  return problems;
+}
+
+// Vertices file size (bytes, any encoding) → problem message or null. Lets
+// a streamed vertices file be checked before all of it has arrived.
+export function checkVertexFileSize(meta, byteLength) {
+  const { encoding } = vertexEncoding(meta.files.vertices);
+  const T = meta.frame_count, V = meta.vertex_count;
+  const expected = encodedVertexBytes(encoding, T, V);
+  if (byteLength === expected) return null;
+  const oneFrame = encodedVertexBytes(encoding, 1, V);
+  const perFrame = encodedVertexBytes(encoding, 2, V) - oneFrame;
+  const frames = (byteLength - oneFrame) / perFrame + 1;
+  const hint = Number.isInteger(frames) && frames > 0 ? ` — looks like ${frames} frames, metadata says ${T}` : '';
+  return `${filePath(meta.files.vertices)}: ${byteLength} bytes, expected ${expected} (${encoding})${hint}`;
+}
+
+// ─── Companion Files ─────────────────────────────────────────────────────────
+
+// video-info.json (the source video's frame count, written when frames are
+// extracted) against metadata → problem message, or null if they agree or
+// the file says nothing about frames
+export function checkVideoInfo(meta, videoInfo) {
+  const total = videoInfo && videoInfo.total_frames;
+  if (!isInt(total) || total === meta.frame_count) return null;
+  return `video-info.json: ${total} frames, metadata.json says ${meta.frame_count}`;
+}
@@ -0,0 +1,382 @@
+/**
+ * Metric graph — canvas line chart of per-frame series with the frame cursor.
+ *
+ * Canvas 2D only; no Three.js and no viewer state. The viewer passes the
+ * series and frame range on every draw(); the graph owns HiDPI sizing,
+ * the hover crosshair, click/drag-to-seek and Shift-drag zoom. The backing
+ * store follows the canvas's CSS size, so overlay and responsive layouts
+ * need no manual resizing.
+ */
+
+const PAD = { left: 40, right: 10, top: 22, bottom: 22 };
+const Y_STEPS = [1, 2, 5, 10, 20, 45, 90, 180, 360, 720, 1440];
+const DRAG_MIN_PX = 4;
+const TICK_SPACING_PX = 14;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// Stroke values[fStart..fEnd] as polylines broken at NaN. style(i) → {color,
+// width, dash} for the segment ending at frame i; runs of equal style share
+// one path.
+function strokeSeries(ctx, values, xPx, yPx, fStart, fEnd, style) {
+  let key = null, penDown = false;
+  const flush = () => { if (key !== null) ctx.stroke(); };
+  for (let i = fStart; i <= fEnd; i++) {
+    const v = values[i];
+    if (isNaN(v)) { penDown = false; continue; }
+    if (!penDown) {
+      penDown = true;
+      if (key === null) { const s = style(i); key = styleKey(s); applyStyle(ctx, s); ctx.beginPath(); }
+      ctx.moveTo(xPx(i), yPx(v));
+      continue;
+    }
+    const s = style(i);
+    const k = styleKey(s);
+    if (k !== key) {
+      flush();
+      key = k;
+      applyStyle(ctx, s);
+      ctx.beginPath();
+      ctx.moveTo(xPx(i - 1), yPx(values[i - 1]));
+    }
+    ctx.lineTo(xPx(i), yPx(v));
+  }
+  flush();
+  ctx.setLineDash([]);
+}
+
+function styleKey(s) {
+  return `${s.color}|${s.width}|${s.dash ? s.dash.join(',') : ''}`;
+}
+
+function applyStyle(ctx, s) {
+  ctx.strokeStyle = s.color;
+  ctx.lineWidth = s.width;
+  ctx.setLineDash(s.dash || []);
+}
+
+function valueRange(series, fStart, fEnd) {
+  let min = Infinity, max = -Infinity;
+  for (const s of series) {
+    for (let i = fStart; i <= fEnd; i++) {
+      const v = s.values[i];
+      if (isNaN(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return isFinite(min) ? [min, max] : [0, 1];
+}
+
+// ─── Graph ───────────────────────────────────────────────────────────────────
+
+// opts (all optional):
+//   title       text at the top left
+//   unit        appended to tick labels and values ('°', '')
+//   digits      decimals for values (default 1)
+//   yFloor      fixed lower bound instead of fitting the data (e.g. 0)
+//   yMinSpan    smallest value span shown
+//   zeroLine    dashed line at 0 when in range
+//   bands       [{from, to, fill}] horizontal value bands (±Infinity allowed)
+//   thresholds  [{value, color}] dashed horizontal lines
+//   legend      list every series' current value instead of one at the right
+//   decorate(ctx, xPx, pad, plotH, fStart, fEnd)   drawn under the series
+//   annotate(ctx, xPx, yPx, fStart, fEnd)          drawn over the series
+//   onSeek(frame)                                  click or drag in the plot
+//   frameLabel(frame)                              crosshair heading (default "Frame N")
+//
+// series: [{values, label, color, width = 2, dash, compare, style(i),
+//           valueColor(v), valueText(frame)}] — compare series draw dashed
+// gray underneath and stay out of the value display.
+export function createMetricGraph(canvas, opts = {}) {
+  const ctx = canvas.getContext('2d');
+  const digits = opts.digits ?? 1;
+  const unit = opts.unit ?? '';
+  let last = null;        // {frame, series, fStart, fEnd} from the latest draw()
+  let zoom = null;        // [start, end] frames, inside the drawn range
+  let view = null;        // {fStart, fEnd, w, h} of the latest render
+  let hover = null;       // {x, y} CSS px, while the pointer is over the plot
+  let drag = null;        // {x0, x1} CSS px while Shift-drag selecting a zoom range
+  let scrubbing = false;  // pointer held down for seeking
+  let lastSeek = null;
+
+  const format = (v) => v.toFixed(digits) + unit;
+  canvas.title = 'Click or drag to seek · Shift-drag to zoom · double-click to reset zoom';
+
+  // Match the backing store to the CSS box × devicePixelRatio
+  function fit() {
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (!w || !h) return null;
+    const dpr = window.devicePixelRatio || 1;
+    const bw = Math.round(w * dpr), bh = Math.round(h * dpr);
+    if (canvas.width !== bw || canvas.height !== bh) {
+      canvas.width = bw;
+      canvas.height = bh;
+    }
+    ctx.setTransform(bw / w, 0, 0, bh / h, 0, 0);
+    return { w, h };
+  }
+
+  function frameAtX(x) {
+    const plotW = view.w - PAD.left - PAD.right;
+    const t = Math.min(1, Math.max(0, (x - PAD.left) / plotW));
+    return Math.round(view.fStart + t * Math.max(1, view.fEnd - view.fStart));
+  }
+
+  function inPlotX(x) {
+    return view && x >= PAD.left && x <= view.w - PAD.right;
+  }
+
+  function render() {
+    if (!last) return;
+    const size = fit();
+    if (!size) return;
+    const { w, h } = size;
+    const { frame, series } = last;
+
+    if (zoom && (zoom[0] < last.fStart || zoom[1] > last.fEnd)) zoom = null;
+    const [fStart, fEnd] = zoom || [last.fStart, last.fEnd];
+    view = { fStart, fEnd, w, h };
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    const plotW = w - PAD.left - PAD.right;
+    const plotH = h - PAD.top - PAD.bottom;
+
+    // Y range snapped to a step that leaves room for the tick labels
+    let [lo, hi] = valueRange(series, fStart, fEnd);
+    const buf = Math.max((hi - lo) * 0.05, 1);
+    lo = opts.yFloor ?? lo - buf;
+    hi = Math.max(hi + buf, lo + (opts.yMinSpan || 0));
+    const maxTicks = Math.max(3, Math.floor(plotH / TICK_SPACING_PX));
+    const step = Y_STEPS.find(s => (hi - lo) / s <= maxTicks) || Y_STEPS[Y_STEPS.length - 1];
+    const yMin = opts.yFloor ?? Math.floor(lo / step) * step;
+    const yMax = Math.ceil(hi / step) * step;
+    const fRange = Math.max(1, fEnd - fStart);
+
+    const xPx = (f) => PAD.left + ((f - fStart) / fRange) * plotW;
+    const yPx = (v) => PAD.top + (1 - (v - yMin) / (yMax - yMin)) * plotH;
+    const clampY = (v) => Math.min(PAD.top + plotH, Math.max(PAD.top, yPx(v)));
+    const inWindow = frame >= fStart && frame <= fEnd;
+
+    // Value bands, then the viewer's underlay (support phases, turns)
+    for (const b of opts.bands || []) {
+      const y0 = clampY(b.to), y1 = clampY(b.from);
+      if (y1 <= y0) continue;
+      ctx.fillStyle = b.fill;
+      ctx.fillRect(PAD.left, y0, plotW, y1 - y0);
+    }
+    if (opts.decorate) opts.decorate(ctx, xPx, PAD, plotH, fStart, fEnd);
+
+    // Zero and threshold lines
+    ctx.lineWidth = 1;
+    if (opts.zeroLine && yMin <= 0 && yMax >= 0) {
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath(); ctx.moveTo(PAD.left, yPx(0)); ctx.lineTo(w - PAD.right, yPx(0)); ctx.stroke();
+    }
+    ctx.setLineDash([6, 4]);
+    for (const t of opts.thresholds || []) {
+      if (t.value < yMin || t.value > yMax) continue;
+      ctx.strokeStyle = t.color;
+      ctx.beginPath(); ctx.moveTo(PAD.left, yPx(t.value)); ctx.lineTo(w - PAD.right, yPx(t.value)); ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Y-axis labels + light grid
+    ctx.fillStyle = '#444';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let v = yMin; v <= yMax; v += step) {
+      ctx.fillText(v + unit, PAD.left - 4, yPx(v));
+      if (v > yMin && v < yMax && !(opts.zeroLine && v === 0)) {
+        ctx.strokeStyle = 'rgba(0,0,0,0.08)';
+        ctx.lineWidth = 0.5;
+        ctx.beginPath(); ctx.moveTo(PAD.left, yPx(v)); ctx.lineTo(w - PAD.right, yPx(v)); ctx.stroke();
+      }
+    }
+
+    // Title and current values
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#222';
+    const title = opts.title || '';
+    ctx.fillText(title, PAD.left, 3);
+    const own = series.filter(s => !s.compare);
+    const valueText = (s, f) => (s.valueText ? s.valueText(f) : format(s.values[f]));
+    if (opts.legend) {
+      let x = PAD.left + ctx.measureText(title).width + 10;
+      ctx.font = '10px sans-serif';
+      for (const s of own) {
+        const text = inWindow && !isNaN(s.values[frame]) ? `${s.label} ${valueText(s, frame)}` : s.label;
+        ctx.fillStyle = s.color;
+        ctx.fillText(text, x, 4);
+        x += ctx.measureText(text).width + 8;
+      }
+    } else if (inWindow && own.length && !isNaN(own[0].values[frame])) {
+      const s = own[0];
+      const v = s.values[frame];
+      ctx.fillStyle = s.valueColor ? s.valueColor(v, frame) : s.color;
+      ctx.textAlign = 'right';
+      ctx.fillText(valueText(s, frame), w - PAD.right, 3);
+    }
+
+    // Series — comparison underneath
+    for (const s of series.filter(x => x.compare)) {
+      strokeSeries(ctx, s.values, xPx, yPx, fStart, fEnd,
+        () => ({ color: 'rgba(90, 90, 90, 0.75)', width: 1.5, dash: [5, 3] }));
+    }
+    for (const s of own) {
+      const base = { color: s.color, width: s.width || 2, dash: s.dash };
+      strokeSeries(ctx, s.values, xPx, yPx, fStart, fEnd, s.style || (() => base));
+    }
+    if (opts.annotate) opts.annotate(ctx, xPx, yPx, fStart, fEnd);
+
+    // Frame cursor
+    if (inWindow) {
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(xPx(frame), PAD.top);
+      ctx.lineTo(xPx(frame), PAD.top + plotH);
+      ctx.stroke();
+    }
+
+    // Zoom selection and state
+    if (drag) {
+      const x0 = Math.min(drag.x0, drag.x1), x1 = Math.max(drag.x0, drag.x1);
+      ctx.fillStyle = 'rgba(74, 158, 255, 0.2)';
+      ctx.fillRect(x0, PAD.top, x1 - x0, plotH);
+    }
+    if (zoom) {
+      ctx.fillStyle = '#888';
+      ctx.font = '9px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`Frames ${fStart}–${fEnd} · double-click to reset`, w - PAD.right, h - 3);
+    }
+
+    if (hover && !drag) drawCrosshair(frameAtX(hover.x), hover.y, xPx, yPx, yMin, yMax, plotH);
+  }
+
+  // Crosshair at the hovered frame and pointer height, the value under the
+  // pointer on the Y axis, and a box with each series' exact value
+  function drawCrosshair(f, y, xPx, yPx, yMin, yMax, plotH) {
+    const x = xPx(f);
+    const w = view.w;
+    y = Math.min(PAD.top + plotH, Math.max(PAD.top, y));
+    ctx.strokeStyle = 'rgba(74, 158, 255, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, PAD.top); ctx.lineTo(x, PAD.top + plotH);
+    ctx.moveTo(PAD.left, y); ctx.lineTo(w - PAD.right, y);
+    ctx.stroke();
+
+    // Axis tag for the pointer height
+    const yValue = yMin + (1 - (y - PAD.top) / plotH) * (yMax - yMin);
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#4a9eff';
+    ctx.fillRect(0, y - 7, PAD.left - 2, 14);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(format(yValue), PAD.left - 4, y);
+
+    const rows = [{ text: opts.frameLabel ? opts.frameLabel(f) : `Frame ${f}`, color: '#222' }];
+    for (const s of last.series) {
+      const v = s.values[f];
+      if (v === undefined || isNaN(v)) continue;
+      const label = s.compare ? (s.label || 'Compare') : s.label;
+      rows.push({ text: (label ? `${label} ` : '') + format(v), color: s.compare ? '#666' : s.color });
+      ctx.fillStyle = s.compare ? '#666' : s.color;
+      ctx.beginPath(); ctx.arc(x, yPx(v), 2.5, 0, Math.PI * 2); ctx.fill();
+    }
+
+    const boxW = Math.max(...rows.map(r => ctx.measureText(r.text).width)) + 10;
+    const boxH = rows.length * 12 + 6;
+    const bx = x + 6 + boxW > w - PAD.right ? x - 6 - boxW : x + 6;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.strokeStyle = '#bbb';
+    ctx.fillRect(bx, PAD.top + 2, boxW, boxH);
+    ctx.strokeRect(bx + 0.5, PAD.top + 2.5, boxW - 1, boxH - 1);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    rows.forEach((r, i) => {
+      ctx.fillStyle = r.color;
+      ctx.fillText(r.text, bx + 5, PAD.top + 5 + i * 12);
+    });
+  }
+
+  // ─── Pointer ───
+
+  const localPoint = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const clampX = (x) => Math.min(view.w - PAD.right, Math.max(PAD.left, x));
+
+  function seek(x) {
+    const f = frameAtX(clampX(x));
+    if (f === lastSeek || !opts.onSeek) return;
+    lastSeek = f;
+    opts.onSeek(f);
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    const { x } = localPoint(e);
+    if (!inPlotX(x)) return;
+    canvas.setPointerCapture(e.pointerId);
+    if (e.shiftKey) {
+      drag = { x0: x, x1: x };
+    } else {
+      scrubbing = true;
+      lastSeek = null;
+      seek(x);
+    }
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    const p = localPoint(e);
+    if (drag) drag.x1 = clampX(p.x);
+    if (scrubbing) seek(p.x);
+    hover = inPlotX(p.x) || scrubbing ? { x: clampX(p.x), y: p.y } : null;
+    render();
+  });
+  const endPointer = () => {
+    scrubbing = false;
+    if (!drag) return;
+    const { x0, x1 } = drag;
+    drag = null;
+    if (Math.abs(x1 - x0) > DRAG_MIN_PX) {
+      const a = frameAtX(Math.min(x0, x1)), b = frameAtX(Math.max(x0, x1));
+      if (b - a >= 2) zoom = [a, b];
+    }
+    render();
+  };
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+  canvas.addEventListener('pointerleave', () => {
+    if (drag || scrubbing) return;
+    hover = null;
+    render();
+  });
+  canvas.addEventListener('dblclick', () => { zoom = null; render(); });
+  // Clicks in the plot are seeks, not taps on the container behind it
+  canvas.addEventListener('click', (e) => {
+    if (inPlotX(localPoint(e).x)) e.stopPropagation();
+  });
+
+  return {
+    // frame: cursor; series: see above; [fStart, fEnd]: unzoomed frame range
+    draw(frame, series, fStart, fEnd) {
+      last = { frame, series, fStart, fEnd };
+      render();
+    },
+    resetZoom() {
+      zoom = null;
+      render();
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * MHR70 keypoint topology — names, body regions and bones.
+ *
+ * Pure data module. No DOM or Three.js. Index order matches keypoints.bin:
+ * 0–20 face, body and feet; 21–41 right hand and 42–62 left hand (tip to
+ * knuckle per finger, wrist last); 63–69 elbow, shoulder and neck extras.
+ */
+
+const FINGERS = ['thumb', 'forefinger', 'middle_finger', 'ring_finger', 'pinky_finger'];
+const FINGER_JOINTS = ['4', '3', '2', '_third_joint'];  // tip → knuckle
+
+function handNames(side) {
+  const names = [];
+  for (const finger of FINGERS) {
+    for (const joint of FINGER_JOINTS) names.push(`${side}_${finger}${joint}`);
+  }
+  names.push(`${side}_wrist`);
+  return names;
+}
+
+export const MHR70_NAMES = [
+  'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+  'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle',
+  'left_big_toe', 'left_small_toe', 'left_heel',
+  'right_big_toe', 'right_small_toe', 'right_heel',
+  ...handNames('right'),
+  ...handNames('left'),
+  'left_olecranon', 'right_olecranon', 'left_cubital_fossa', 'right_cubital_fossa',
+  'left_acromion', 'right_acromion', 'neck',
+];
+
+export const MHR70_INDEX = Object.fromEntries(MHR70_NAMES.map((name, i) => [name, i]));
+
+const RIGHT_HAND_START = 21, LEFT_HAND_START = 42, HAND_SIZE = 21;
+
+export function isHandKeypoint(i) {
+  return i >= RIGHT_HAND_START && i < LEFT_HAND_START + HAND_SIZE;
+}
+
+// 'left' | 'right' | 'center'
+export function keypointSide(i) {
+  const name = MHR70_NAMES[i];
+  if (name.startsWith('left_')) return 'left';
+  if (name.startsWith('right_')) return 'right';
+  return 'center';
+}
+
+// "left_cubital_fossa" → "Left cubital fossa", "right_thumb4" → "Right thumb 4"
+export function keypointLabel(i) {
+  const s = MHR70_NAMES[i].replace(/_/g, ' ').replace(/(\D)(\d)$/, '$1 $2');
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// ─── Bones ───────────────────────────────────────────────────────────────────
+
+const k = MHR70_INDEX;
+
+const BODY_BONES = [
+  // Head
+  [k.nose, k.left_eye], [k.nose, k.right_eye], [k.left_eye, k.left_ear], [k.right_eye, k.right_ear],
+  [k.nose, k.neck],
+  // Torso
+  [k.neck, k.left_shoulder], [k.neck, k.right_shoulder],
+  [k.left_shoulder, k.left_hip], [k.right_shoulder, k.right_hip], [k.left_hip, k.right_hip],
+  [k.left_shoulder, k.left_acromion], [k.right_shoulder, k.right_acromion],
+  // Arms
+  [k.left_shoulder, k.left_elbow], [k.left_elbow, k.left_wrist],
+  [k.right_shoulder, k.right_elbow], [k.right_elbow, k.right_wrist],
+  [k.left_elbow, k.left_olecranon], [k.left_elbow, k.left_cubital_fossa],
+  [k.right_elbow, k.right_olecranon], [k.right_elbow, k.right_cubital_fossa],
+  // Legs and feet
+  [k.left_hip, k.left_knee], [k.left_knee, k.left_ankle],
+  [k.right_hip, k.right_knee], [k.right_knee, k.right_ankle],
+  [k.left_ankle, k.left_heel], [k.left_ankle, k.left_big_toe], [k.left_big_toe, k.left_small_toe],
+  [k.left_heel, k.left_small_toe],
+  [k.right_ankle, k.right_heel], [k.right_ankle, k.right_big_toe], [k.right_big_toe, k.right_small_toe],
+  [k.right_heel, k.right_small_toe],
+];
+
+function handBones(side) {
+  const bones = [];
+  const wrist = k[`${side}_wrist`];
+  for (const finger of FINGERS) {
+    const chain = FINGER_JOINTS.map(j => k[`${side}_${finger}${j}`]).reverse();  // knuckle → tip
+    bones.push([wrist, chain[0]]);
+    for (let i = 1; i < chain.length; i++) bones.push([chain[i - 1], chain[i]]);
+  }
+  return bones;
+}
+
+// [[a, b], ...] index pairs
+export const MHR70_BONES = { body: BODY_BONES, hands: [...handBones('left'), ...handBones('right')] };
@@ -0,0 +1,97 @@
+/**
+ * Coach notes — text notes pinned to frames, optionally anchored in 3D.
+ *
+ * Pure module. No DOM or Three.js. A note is
+ *   {id, frame, text, anchor, createdAt}
+ * where anchor is null, {kind: 'body', vertex} (follows that mesh vertex)
+ * or {kind: 'ground', point: [x, y, z]} in Three.js space. Notes files are
+ *   {format: 'throwsage-notes', version: 1, throw, frame_count, notes: [...]}
+ */
+
+export const NOTES_FORMAT = 'throwsage-notes';
+const NOTES_VERSION = 1;
+
+function newId() {
+  return 'n' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function createNote(frame, text, anchor = null) {
+  return { id: newId(), frame, text, anchor, createdAt: Date.now() };
+}
+
+export function sortNotes(notes) {
+  return notes.slice().sort((a, b) => a.frame - b.frame || a.createdAt - b.createdAt);
+}
+
+// The closest note strictly after (dir = 1) or before (dir = −1) frame, or null
+export function adjacentNote(notes, frame, dir) {
+  let best = null;
+  for (const n of notes) {
+    if (dir > 0 ? n.frame <= frame : n.frame >= frame) continue;
+    if (!best || (dir > 0 ? n.frame < best.frame : n.frame > best.frame)) best = n;
+  }
+  return best;
+}
+
+// Incoming notes replace same-id notes and are added otherwise
+export function mergeNotes(existing, incoming) {
+  const byId = new Map(existing.map(n => [n.id, n]));
+  for (const n of incoming) byId.set(n.id, n);
+  return sortNotes([...byId.values()]);
+}
+
+// ─── Files ───────────────────────────────────────────────────────────────────
+
+export function notesToJSON(notes, meta) {
+  return JSON.stringify({
+    format: NOTES_FORMAT,
+    version: NOTES_VERSION,
+    throw: meta.throw || null,
+    frame_count: meta.frame_count,
+    notes: sortNotes(notes),
+  }, null, 2);
+}
+
+function checkAnchor(anchor, V) {
+  if (anchor === null || anchor === undefined) return null;
+  if (anchor.kind === 'body') {
+    return Number.isInteger(anchor.vertex) && anchor.vertex >= 0 && anchor.vertex < V ? null : 'body anchor vertex out of range';
+  }
+  if (anchor.kind === 'ground') {
+    return Array.isArray(anchor.point) && anchor.point.length === 3 && anchor.point.every(Number.isFinite)
+      ? null : 'ground anchor point must be [x, y, z]';
+  }
+  return `unknown anchor kind ${JSON.stringify(anchor.kind)}`;
+}
+
+// Parse a notes file for a throw with T frames and V vertices.
+// Bad notes are dropped and reported, not fatal. → {notes, problems}
+export function parseNotes(text, T, V) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { notes: [], problems: [`not valid JSON: ${err.message}`] };
+  }
+  if (!data || data.format !== NOTES_FORMAT || !Array.isArray(data.notes)) {
+    return { notes: [], problems: ['not a ThrowSage notes file'] };
+  }
+  const problems = [];
+  if (data.frame_count !== T) problems.push(`written for ${data.frame_count} frames, this throw has ${T}`);
+  const notes = [];
+  data.notes.forEach((n, i) => {
+    const where = `note ${i + 1}`;
+    if (!n || typeof n.text !== 'string') { problems.push(`${where}: missing text`); return; }
+    if (!Number.isInteger(n.frame) || n.frame < 0 || n.frame >= T) { problems.push(`${where}: frame ${n.frame} out of range`); return; }
+    const anchorProblem = checkAnchor(n.anchor, V);
+    if (anchorProblem) problems.push(`${where}: ${anchorProblem}, kept without it`);
+    notes.push({
+      id: typeof n.id === 'string' ? n.id : newId(),
+      frame: n.frame,
+      text: n.text,
+      anchor: anchorProblem ? null : (n.anchor || null),
+      createdAt: Number.isFinite(n.createdAt) ? n.createdAt : Date.now(),
+    });
+  });
+  return { notes: sortNotes(notes), problems };
+}
@@ -0,0 +1,160 @@
+/**
+ * Offline throw cache — saves a throw's files into Cache Storage for sw.js.
+ *
+ * Browser storage only (Cache Storage + localStorage); no DOM or Three.js.
+ * Each saved throw gets its own cache, so deleting one is a single
+ * caches.delete(). The index of saved throws (name, size, viewer link)
+ * lives in localStorage next to the other throwsage_* keys.
+ */
+
+const INDEX_KEY = 'throwsage_offline';
+const CACHE_PREFIX = 'throwsage-throw:';
+const SAVE_CONCURRENCY = 4;
+
+export function offlineSupported() {
+  return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext &&
+    location.protocol !== 'file:';
+}
+
+export async function registerOfflineWorker() {
+  if (!offlineSupported()) return null;
+  try {
+    return await navigator.serviceWorker.register('sw.js');
+  } catch (err) {
+    console.warn(`Service worker not registered: ${err.message}`);
+    return null;
+  }
+}
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+function readIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+}
+
+// → [{key, name, viewerHref, bytes, files, missing, savedAt, versions}] newest first;
+//   entries whose cache was cleared by the browser are dropped
+export async function listOfflineThrows() {
+  const index = readIndex();
+  const names = new Set(await caches.keys());
+  let changed = false;
+  for (const key of Object.keys(index)) {
+    if (!names.has(CACHE_PREFIX + key)) { delete index[key]; changed = true; }
+  }
+  if (changed) writeIndex(index);
+  return Object.entries(index)
+    .map(([key, e]) => ({ key, ...e }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function isThrowSaved(key) {
+  return key in readIndex();
+}
+
+// ─── Save / Delete ───────────────────────────────────────────────────────────
+
+// Fetch and store every URL. required: [url] — any failure aborts and
+// removes the partial cache; optional: [url] — failures are counted only.
+// onProgress(done, total, bytes). Returns the index entry.
+export async function saveThrowOffline({ key, name, viewerHref, required, optional, onProgress }) {
+  const cacheName = CACHE_PREFIX + key;
+  await caches.delete(cacheName);  // re-saving replaces the old copy
+  const cache = await caches.open(cacheName);
+  const jobs = [...required.map(url => ({ url, required: true })), ...optional.map(url => ({ url, required: false }))];
+  const total = jobs.length;
+  let done = 0, bytes = 0, missing = 0;
+  const versions = {};
+
+  const saveOne = async ({ url, required: isRequired }) => {
+    let resp;
+    try {
+      resp = await fetch(url, { cache: 'no-store' });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const length = parseInt(resp.headers.get('Content-Length'), 10);
+      if (isRequired) versions[url] = responseVersion(resp);
+      await cache.put(url, resp);
+      // Compressed transfers report the encoded length, so only trust it when
+      // there is no Content-Encoding; otherwise measure the stored copy
+      bytes += Number.isFinite(length) && !resp.headers.get('Content-Encoding')
+        ? length
+        : (await (await cache.match(url)).blob()).size;
+    } catch (err) {
+      if (isRequired) throw new Error(`${url}: ${err.message}`);
+      missing++;
+    }
+    done++;
+    if (onProgress) onProgress(done, total, bytes);
+  };
+
+  const queue = jobs.slice();
+  try {
+    const worker = async () => {
+      while (queue.length) await saveOne(queue.shift());
+    };
+    await Promise.all(Array.from({ length: SAVE_CONCURRENCY }, worker));
+  } catch (err) {
+    queue.length = 0;  // stop the other workers
+    await caches.delete(cacheName);
+    throw err;
+  }
+
+  // Ask the browser not to evict saved throws under storage pressure
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+
+  const entry = { name, viewerHref, bytes, files: total - missing, missing, savedAt: Date.now(), versions };
+  const index = readIndex();
+  index[key] = entry;
+  writeIndex(index);
+  return { key, ...entry };
+}
+
+// ─── Freshness ───────────────────────────────────────────────────────────────
+// sw.js answers saved files from the cache even when online, so a throw that
+// was re-processed on the server needs an explicit re-save. The required
+// files' ETag (or Last-Modified, the only one readable cross-origin without
+// Access-Control-Expose-Headers) is recorded at save time and compared here.
+
+function responseVersion(resp) {
+  return resp.headers.get('ETag') || resp.headers.get('Last-Modified') || null;
+}
+
+// → true when any required file changed on the server since it was saved,
+//   false when unchanged, offline, or the server sends no validators
+export async function isOfflineThrowStale(key) {
+  const entry = readIndex()[key];
+  if (!entry || !entry.versions || !navigator.onLine) return false;
+  const checks = Object.entries(entry.versions)
+    .filter(([, version]) => version)
+    .map(async ([url, version]) => {
+      try {
+        const resp = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        const current = resp.ok ? responseVersion(resp) : null;
+        return current !== null && current !== version;
+      } catch (err) {
+        return false;
+      }
+    });
+  return (await Promise.all(checks)).some(Boolean);
+}
+
+export async function deleteOfflineThrow(key) {
+  await caches.delete(CACHE_PREFIX + key);
+  const index = readIndex();
+  delete index[key];
+  writeIndex(index);
+}
+
+// → {usage, quota} in bytes, or null where unsupported
+export async function storageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
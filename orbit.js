@@ -0,0 +1,96 @@
+/**
+ * Hammer orbit geometry — per-turn plane fit, inclination and azimuth.
+ *
+ * Pure math module. No DOM or Three.js. Points are [x, y, z] in Y-up
+ * meters (Three.js space); angles are returned in degrees.
+ */
+
+// ─── Plane Fit ───────────────────────────────────────────────────────────────
+
+// Eigen-decomposition of a symmetric 3x3 matrix (cyclic Jacobi).
+// Returns {values: [3], vectors: [[3] x3]} — vectors[k] pairs with values[k].
+function symmetricEigen3(m) {
+  const a = m.map(row => row.slice());
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+    if (off < 1e-18) break;
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-15) continue;
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p], akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k], aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p], vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+  return {
+    values: [a[0][0], a[1][1], a[2][2]],
+    vectors: [0, 1, 2].map(k => [v[0][k], v[1][k], v[2][k]]),
+  };
+}
+
+// Least-squares plane through points (PCA). Normal is oriented upward.
+// → {centroid, normal, radius (mean distance from centroid), rmse} or null
+export function fitPlane(points) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  const c = [0, 0, 0];
+  for (const p of points) { c[0] += p[0]; c[1] += p[1]; c[2] += p[2]; }
+  c[0] /= n; c[1] /= n; c[2] /= n;
+
+  const cov = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const p of points) {
+    const d = [p[0] - c[0], p[1] - c[1], p[2] - c[2]];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) cov[i][j] += d[i] * d[j];
+    }
+  }
+
+  const { values, vectors } = symmetricEigen3(cov);
+  let k = 0;
+  if (values[1] < values[k]) k = 1;
+  if (values[2] < values[k]) k = 2;
+  const normal = vectors[k];
+  if (normal[1] < 0) { normal[0] = -normal[0]; normal[1] = -normal[1]; normal[2] = -normal[2]; }
+
+  let radius = 0, sq = 0;
+  for (const p of points) {
+    const d = [p[0] - c[0], p[1] - c[1], p[2] - c[2]];
+    radius += Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+    const dist = d[0] * normal[0] + d[1] * normal[1] + d[2] * normal[2];
+    sq += dist * dist;
+  }
+
+  return { centroid: c, normal, radius: radius / n, rmse: Math.sqrt(sq / n) };
+}
+
+// ─── Angles ──────────────────────────────────────────────────────────────────
+
+// Angle between the orbit plane and the horizontal ground plane
+export function inclinationDeg(normal) {
+  const ny = Math.min(1, Math.abs(normal[1]));
+  return Math.acos(ny) * (180 / Math.PI);
+}
+
+// Azimuth of point around center in throwing-circle degrees: 0° along zeroYaw
+// (yaw = atan2(x, z) of the 0° direction), increasing toward the 90° label
+export function azimuthDeg(point, center, zeroYaw) {
+  const yaw = Math.atan2(point[0] - center[0], point[2] - center[2]);
+  const deg = (yaw - zeroYaw) * (180 / Math.PI);
+  return ((deg % 360) + 360) % 360;
+}
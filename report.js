@@ -0,0 +1,125 @@
+/**
+ * Per-phase throw report — durations, support split, metric extremes.
+ *
+ * Pure data module. No DOM or Three.js. Phases are the wind-up before the
+ * first boundary, each wind (W*) and turn (T*) between boundaries, and a
+ * whole-throw total from T0 to release. Export helpers produce CSV/JSON text.
+ */
+
+// ─── Phases ──────────────────────────────────────────────────────────────────
+
+// → [{label, kind: 'wind'|'turn'|'total', start, end}] with end exclusive
+//   for support timing and inclusive for extremes
+export function buildPhases(meta, lastFrame) {
+  const phases = [];
+  const b = meta.turn_boundaries || [];
+  const tw = meta.throw_window || {};
+  const release = tw.release || lastFrame;
+  const t0 = tw.start != null ? tw.start : (b[0] || 0);
+  const label = (i) => (meta.turn_labels ? meta.turn_labels[i] : `T${i}`);
+
+  if (b.length === 0) {
+    phases.push({ label: 'Wind', kind: 'wind', start: 0, end: t0 });
+  } else {
+    if (b[0] > 0) phases.push({ label: 'Wind', kind: 'wind', start: 0, end: b[0] });
+    for (let i = 0; i < b.length; i++) {
+      const end = i < b.length - 1 ? b[i + 1] : release;
+      if (end <= b[i]) continue;
+      phases.push({ label: label(i), kind: b[i] < t0 ? 'wind' : 'turn', start: b[i], end });
+    }
+  }
+  if (release > t0) phases.push({ label: 'Throw', kind: 'total', start: t0, end: release });
+  return phases;
+}
+
+// ─── Statistics ──────────────────────────────────────────────────────────────
+
+function extremes(series, start, end) {
+  let min = Infinity, max = -Infinity, minFrame = null, maxFrame = null;
+  if (series) {
+    for (let f = start; f <= end && f < series.length; f++) {
+      const v = series[f];
+      if (isNaN(v)) continue;
+      if (v < min) { min = v; minFrame = f; }
+      if (v > max) { max = v; maxFrame = f; }
+    }
+  }
+  return minFrame === null
+    ? { min: null, minFrame: null, max: null, maxFrame: null }
+    : { min, minFrame, max, maxFrame };
+}
+
+const round = (v, d) => (v == null ? null : Number(v.toFixed(d)));
+
+// input: {phases, fps, supportState (1=SS, 2=DS), metrics: {name: Float32Array},
+//         hammerHeight: Float32Array (m above ground, NaN = invalid)}
+// → [{phase, kind, start, end, frames, duration_s, ss_s, ds_s, ss_pct, ds_pct,
+//     <metric>_min, <metric>_min_frame, <metric>_max, <metric>_max_frame, ...,
+//     hammer_high_m, hammer_high_frame, hammer_low_m, hammer_low_frame}]
+export function buildReport({ phases, fps, supportState, metrics, hammerHeight }) {
+  return phases.map(({ label, kind, start, end }) => {
+    const frames = end - start;
+    const row = {
+      phase: label,
+      kind,
+      start,
+      end,
+      frames,
+      duration_s: round(frames / fps, 3),
+    };
+
+    let ss = 0, ds = 0;
+    if (supportState) {
+      for (let f = start; f < end; f++) {
+        if (supportState[f] === 1) ss++;
+        else if (supportState[f] === 2) ds++;
+      }
+    }
+    row.ss_s = supportState ? round(ss / fps, 3) : null;
+    row.ds_s = supportState ? round(ds / fps, 3) : null;
+    row.ss_pct = supportState && frames > 0 ? round((ss / frames) * 100, 1) : null;
+    row.ds_pct = supportState && frames > 0 ? round((ds / frames) * 100, 1) : null;
+
+    for (const [name, series] of Object.entries(metrics)) {
+      const e = extremes(series, start, end);
+      row[`${name}_min`] = round(e.min, 1);
+      row[`${name}_min_frame`] = e.minFrame;
+      row[`${name}_max`] = round(e.max, 1);
+      row[`${name}_max_frame`] = e.maxFrame;
+    }
+
+    const h = extremes(hammerHeight, start, end);
+    row.hammer_high_m = round(h.max, 3);
+    row.hammer_high_frame = h.maxFrame;
+    row.hammer_low_m = round(h.min, 3);
+    row.hammer_low_frame = h.minFrame;
+    return row;
+  });
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+export function reportToCSV(rows) {
+  if (rows.length === 0) return '';
+  const cols = Object.keys(rows[0]);
+  const cell = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [cols.join(',')];
+  for (const row of rows) lines.push(cols.map(c => cell(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+export function reportToJSON(rows, meta) {
+  return JSON.stringify({
+    throw: meta.throw,
+    display_name: meta.display_name || null,
+    fps: meta.fps,
+    frame_count: meta.frame_count,
+    turn_boundaries: meta.turn_boundaries || [],
+    throw_window: meta.throw_window || null,
+    phases: rows,
+  }, null, 2);
+}
@@ -0,0 +1,124 @@
+/**
+ * ThrowSage service worker — offline app shell and saved throws.
+ *
+ * The app shell (pages, modules, styles and the three.js build from the
+ * import map) is precached on install and served network-first, so online
+ * visits still pick up new versions. Throw files are only cached when the
+ * user saves a throw (offline-cache.js); they are served cache-first, with
+ * Range requests answered from the cached copy so vertex streaming works
+ * offline too. Requests made with cache: 'no-store' or 'reload' skip the
+ * saved copy, which is how offline-cache.js re-saves a throw and checks it
+ * against the server.
+ */
+
+const APP_CACHE = 'throwsage-app-v1';
+
+// Keep in sync with the modules index.html and library.html load
+const APP_SHELL = [
+  './',
+  'index.html',
+  'library.html',
+  'style.css',
+  'library-style.css',
+  'throws.json',
+  'viewer.js',
+  'library.js',
+  'compare.js',
+  'kinematics.js',
+  'orbit.js',
+  'report.js',
+  'throw-info.js',
+  'view-state.js',
+  'local-files.js',
+  'zip.js',
+  'webm.js',
+  'metadata-schema.js',
+  'vertex-codec.js',
+  'frame-chunks.js',
+  'offline-cache.js',
+  'mhr70.js',
+  'joint-angles.js',
+  'metric-graph.js',
+  'center-of-mass.js',
+  'foot-contacts.js',
+  'notes.js',
+  'loop-ranges.js',
+  'keymap.js',
+  'interpolation.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/controls/OrbitControls.js',
+];
+
+const shellUrls = new Set(APP_SHELL.map(u => new URL(u, self.location.href).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(n => n.startsWith('throwsage-app-') && n !== APP_CACHE)
+      .map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// ─── Responses ───────────────────────────────────────────────────────────────
+
+// Slice a cached full response to satisfy "Range: bytes=a-b"
+async function rangeResponse(cached, range) {
+  const m = /^bytes=(\d+)-(\d*)$/.exec(range);
+  if (!m) return cached;
+  const blob = await cached.blob();
+  const start = parseInt(m[1], 10);
+  const end = m[2] ? Math.min(parseInt(m[2], 10), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size || end < start) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+    },
+  });
+}
+
+async function networkFirst(request) {
+  try {
+    const resp = await fetch(request);
+    if (resp.ok && request.mode !== 'navigate') {
+      const cache = await caches.open(APP_CACHE);
+      cache.put(request, resp.clone());
+    }
+    return resp;
+  } catch (err) {
+    // Pages are cached without their ?throw=... query
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  if (request.cache === 'no-store' || request.cache === 'reload') return fetch(request);
+  const cached = await caches.match(request.url);
+  if (!cached) return fetch(request);
+  const range = request.headers.get('Range');
+  return range ? rangeResponse(cached, range) : cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  url.search = request.mode === 'navigate' ? '' : url.search;
+  if (shellUrls.has(url.href) || request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
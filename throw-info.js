@@ -0,0 +1,56 @@
+/**
+ * Throw directory helpers shared by the viewer and the library page.
+ *
+ * Pure module. No DOM. Naming, dates and file URLs for a throw folder
+ * described by its metadata.json, and escaping for showing its strings.
+ */
+
+// ─── Names + Dates ───────────────────────────────────────────────────────────
+
+export function cleanThrowName(meta) {
+  if (meta.display_name) return meta.display_name;
+  const raw = meta.throw;
+  let name = raw || '';
+  name = name.replace(/_\d{8,}$/g, '');       // strip date suffix like _20220626
+  name = name.replace(/_small$/i, '');          // strip _small
+  name = name.replace(/_/g, ' ');               // underscores to spaces
+  return name || raw;
+}
+
+// Date from a _YYYYMMDD suffix on the throw name, or null
+export function parseThrowDate(raw) {
+  const m = /_(\d{4})(\d{2})(\d{2})$/.exec(raw || '');
+  if (!m) return null;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Full turns: boundaries are labeled T0 (entry) then one per turn
+export function countTurns(meta) {
+  const b = meta.turn_boundaries || [];
+  if (meta.turn_labels) return meta.turn_labels.filter(l => /^T[1-9]\d*$/.test(l)).length;
+  return Math.max(0, b.length - 1);
+}
+
+// ─── Markup ──────────────────────────────────────────────────────────────────
+
+// Metadata comes from wherever ?throw= points, so any of its strings that go
+// into innerHTML pass through here
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// ─── File URLs ───────────────────────────────────────────────────────────────
+
+export function throwFileUrl(dir, name) {
+  return dir ? `${dir.replace(/\/+$/, '')}/${name}` : name;
+}
+
+// PiP thumbnail for a frame — honors pip_thumbnails.pattern ("frame_{:05d}.jpg")
+export function thumbnailUrl(meta, dir, frame) {
+  const pip = meta.pip_thumbnails;
+  if (!pip) return null;
+  const pattern = pip.pattern || 'frame_{:05d}.jpg';
+  const name = pattern.replace(/\{:0?(\d*)d\}/, (_, width) => String(frame).padStart(+width || 0, '0'));
+  return throwFileUrl(throwFileUrl(dir, pip.dir), name);
+}
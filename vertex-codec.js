@@ -0,0 +1,138 @@
+/**
+ * Vertex stream encodings — decodes compact vertices files to float32.
+ *
+ * Pure module. No DOM or Three.js. metadata.files.vertices is either a
+ * plain path (raw float32) or {path, encoding, ...}. All layouts are
+ * little-endian and decode to the same T × V × 3 Float32Array the viewer
+ * has always used:
+ *
+ *   float32      T·V·3 float32
+ *   int16_bbox   T·6 float32 per-frame box (minX minY minZ maxX maxY maxZ),
+ *                then T·V·3 uint16: v = min + q · (max − min) / 65535
+ *   delta_int16  V·3 float32 for frame 0, then (T−1)·V·3 int16 deltas in
+ *                units of `step` metres (default 0.0001), accumulated as
+ *                integers: v_f = v_0 + step · Σ d_1..f
+ */
+
+export const VERTEX_ENCODINGS = ['float32', 'int16_bbox', 'delta_int16'];
+
+const DEFAULT_DELTA_STEP = 0.0001;
+
+// Normalize a files.vertices entry → {path, encoding, step}
+export function vertexEncoding(entry) {
+  if (typeof entry === 'string') return { path: entry, encoding: 'float32', step: null };
+  return {
+    path: entry.path,
+    encoding: entry.encoding || 'float32',
+    step: entry.encoding === 'delta_int16' ? (entry.step || DEFAULT_DELTA_STEP) : null,
+  };
+}
+
+// Encoded file size in bytes for T frames of V vertices
+export function encodedVertexBytes(encoding, T, V) {
+  if (encoding === 'int16_bbox') return T * 24 + T * V * 6;
+  if (encoding === 'delta_int16') return V * 12 + (T - 1) * V * 6;
+  return T * V * 12;
+}
+
+// ─── Incremental Decoding ────────────────────────────────────────────────────
+
+// Every encoding is an optional header (the int16_bbox box table) followed
+// by contiguous per-frame records, so any frame range is one byte range.
+// → {encoding, header, frameStart(f), totalBytes, sequential}
+export function vertexLayout(entry, T, V) {
+  const { encoding } = vertexEncoding(entry);
+  const header = encoding === 'int16_bbox' ? T * 24 : 0;
+  const frameStart = encoding === 'delta_int16'
+    ? (f) => (f === 0 ? 0 : V * 12 + (f - 1) * V * 6)
+    : (f) => header + f * V * (encoding === 'int16_bbox' ? 6 : 12);
+  return {
+    encoding,
+    header,
+    frameStart,
+    totalBytes: encodedVertexBytes(encoding, T, V),
+    sequential: encoding === 'delta_int16',  // each frame needs the one before
+  };
+}
+
+// Typed views need aligned offsets — copy if the bytes don't start on one
+function aligned(bytes) {
+  return bytes.byteOffset % 4 === 0 ? bytes : bytes.slice();
+}
+
+// Decodes frame ranges into out (T·V·3) as their bytes arrive. Ranges may
+// come in any order, except delta_int16 which must be fed from frame 0 up.
+//   setHeader(bytes)         — the layout.header bytes (int16_bbox only)
+//   decode(f0, f1, bytes)    — bytes span frameStart(f0)..frameStart(f1)
+export function createFrameDecoder(entry, T, V, out) {
+  const layout = vertexLayout(entry, T, V);
+  const { step } = vertexEncoding(entry);
+  const n = V * 3;
+  let boxes = null;
+  let acc = null;
+  let nextFrame = 0;
+
+  function decodeFrame(f, buffer, offset) {
+    const o = f * n;
+    if (layout.encoding === 'float32' || (layout.sequential && f === 0)) {
+      out.set(new Float32Array(buffer, offset, n), o);
+    } else if (layout.encoding === 'int16_bbox') {
+      const q = new Uint16Array(buffer, offset, n);
+      const b = f * 6;
+      for (let c = 0; c < 3; c++) {
+        const min = boxes[b + c];
+        const scale = (boxes[b + 3 + c] - min) / 65535;
+        for (let i = c; i < n; i += 3) out[o + i] = min + q[i] * scale;
+      }
+    } else {
+      const d = new Int16Array(buffer, offset, n);
+      for (let i = 0; i < n; i++) {
+        acc[i] += d[i];  // integer sum keeps decoding drift-free
+        out[o + i] = out[i] + acc[i] * step;
+      }
+    }
+  }
+
+  return {
+    layout,
+    setHeader(bytes) {
+      const a = aligned(bytes);
+      boxes = new Float32Array(a.buffer, a.byteOffset, T * 6);
+    },
+    decode(f0, f1, bytes) {
+      if (layout.header && !boxes) throw new Error('vertex header not loaded');
+      if (layout.sequential) {
+        if (f0 !== nextFrame) throw new Error(`${layout.encoding} frames must be decoded in order`);
+        if (!acc) acc = new Int32Array(n);
+        nextFrame = f1;
+      }
+      const a = aligned(bytes);
+      const base = layout.frameStart(f0);
+      for (let f = f0; f < f1; f++) decodeFrame(f, a.buffer, a.byteOffset + layout.frameStart(f) - base);
+    },
+  };
+}
+
+// ─── Whole File ──────────────────────────────────────────────────────────────
+
+// bytes: Uint8Array of the whole file → Float32Array(T·V·3).
+// Throws if an encoded file's size doesn't match its encoding and counts;
+// raw float32 is returned as-is so the schema's length check can report it.
+export function decodeVertices(bytes, entry, T, V) {
+  const { encoding } = vertexEncoding(entry);
+  if (!VERTEX_ENCODINGS.includes(encoding)) throw new Error(`unknown vertex encoding "${encoding}"`);
+  if (encoding === 'float32') {
+    const a = aligned(bytes);
+    return new Float32Array(a.buffer, a.byteOffset, a.byteLength >> 2);
+  }
+  const expected = encodedVertexBytes(encoding, T, V);
+  if (bytes.byteLength !== expected) {
+    throw new Error(`${bytes.byteLength} bytes, expected ${expected} for ${encoding} with ${T} frames × ${V} vertices`);
+  }
+  const out = new Float32Array(T * V * 3);
+  const decoder = createFrameDecoder(entry, T, V, out);
+  const { header } = decoder.layout;
+  if (header) decoder.setHeader(bytes.subarray(0, header));
+  decoder.decode(0, T, bytes.subarray(header));
+  return out;
+}
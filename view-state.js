@@ -0,0 +1,58 @@
+/**
+ * Deep-link view state — encodes the viewer's state into the URL hash.
+ *
+ * Pure module. No DOM or Three.js. Format (every key optional):
+ *   #f=231&s=0.25&r=throw&t=backtilt,circle&rot=12.5&cam=px,py,pz,tx,ty,tz
+ */
+
+// Timeline ranges, as the range buttons' data-range
+export const VIEW_RANGES = ['all', 'wind', 'throw'];
+
+// ─── Encode ──────────────────────────────────────────────────────────────────
+
+// state: {frame, speed, range, toggles: [names], labelRotationDeg,
+//         camera: {position: [3], target: [3]}}
+export function encodeViewState(state) {
+  const parts = [];
+  if (state.frame != null) parts.push(`f=${state.frame}`);
+  if (state.speed != null) parts.push(`s=${+state.speed.toFixed(3)}`);
+  if (state.range) parts.push(`r=${encodeURIComponent(state.range)}`);
+  if (state.toggles) parts.push(`t=${state.toggles.map(encodeURIComponent).join(',')}`);
+  if (state.labelRotationDeg != null) parts.push(`rot=${+state.labelRotationDeg.toFixed(1)}`);
+  if (state.camera) {
+    const nums = [...state.camera.position, ...state.camera.target].map(v => +v.toFixed(3));
+    parts.push(`cam=${nums.join(',')}`);
+  }
+  return parts.join('&');
+}
+
+// ─── Decode ──────────────────────────────────────────────────────────────────
+
+// Returns only the keys present and well-formed in the hash
+export function decodeViewState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const state = {};
+
+  const frame = parseInt(params.get('f'), 10);
+  if (Number.isFinite(frame)) state.frame = frame;
+
+  const speed = parseFloat(params.get('s'));
+  if (Number.isFinite(speed) && speed > 0) state.speed = speed;
+
+  if (VIEW_RANGES.includes(params.get('r'))) state.range = params.get('r');
+
+  if (params.has('t')) {
+    state.toggles = params.get('t').split(',').filter(Boolean);
+  }
+
+  const rot = parseFloat(params.get('rot'));
+  if (Number.isFinite(rot)) state.labelRotationDeg = rot;
+
+  if (params.get('cam')) {
+    const nums = params.get('cam').split(',').map(Number);
+    if (nums.length === 6 && nums.every(Number.isFinite)) {
+      state.camera = { position: nums.slice(0, 3), target: nums.slice(3, 6) };
+    }
+  }
+  return state;
+}
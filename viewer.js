@@ -1,5 +1,40 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { getCommonEvents, buildFrameMap, resampleSeries } from './compare.js';
+import { computeKinematics, peakSpeedPerTurn, estimateRelease } from './kinematics.js';
+import { fitPlane, inclinationDeg, azimuthDeg } from './orbit.js';
+import { buildPhases, buildReport, reportToCSV, reportToJSON } from './report.js';
+import { cleanThrowName, throwFileUrl, thumbnailUrl, escapeHtml } from './throw-info.js';
+import { encodeViewState, decodeViewState } from './view-state.js';
+import { buildWebM } from './webm.js';
+import { createMetricGraph } from './metric-graph.js';
+import {
+  validateMetadata, validateDataLengths, checkDataLength, checkVideoInfo, checkVertexFileSize, filePath,
+} from './metadata-schema.js';
+import { decodeVertices, createFrameDecoder } from './vertex-codec.js';
+import { planFrameChunks, prioritizeChunk, loadedRuns, nearestLoaded } from './frame-chunks.js';
+import { computeCenterOfMass, circleOffsets } from './center-of-mass.js';
+import {
+  FOOT_SIDES, KEYPOINT_CONTACT, MESH_CONTACT, keypointFootHeights, assignFootVertices, meshFootHeights,
+  detectContacts, footprintPose,
+} from './foot-contacts.js';
+import { JOINT_ANGLE_SERIES, computeJointAngles, thoraxRotation } from './joint-angles.js';
+import {
+  createNote, sortNotes, adjacentNote, mergeNotes, notesToJSON, parseNotes,
+} from './notes.js';
+import {
+  KEY_ACTIONS, comboFromEvent, comboLabel, resolveKeymap, keymapLookup, bindKey,
+} from './keymap.js';
+import { blendFrames, blendHammer, isHammerSampleValid } from './interpolation.js';
+import { loopBounds, dataRangePresets } from './loop-ranges.js';
+import { MHR70_NAMES, MHR70_BONES, isHandKeypoint, keypointSide, keypointLabel } from './mhr70.js';
+import {
+  offlineSupported, registerOfflineWorker, listOfflineThrows, isThrowSaved,
+  saveThrowOffline, deleteOfflineThrow, isOfflineThrowStale, storageEstimate,
+} from './offline-cache.js';
+import {
+  collectDroppedFiles, collectPickedFiles, expandZips, buildThrowFileMap, normalizeLocalPath,
+} from './local-files.js';
 
 // ─── State ───────────────────────────────────────────────────────────────────
 let metadata = null;
@@ -24,6 +59,7 @@ let leftLegPlane, rightLegPlane, legPlanesGroup;
 let circleGroup, circleLine;
 let circleLabelsGroup = null;
 let labelZeroMesh = null;
+let circleZeroYaw = 0;  // yaw of the 0° label direction before any user drag
 let isDraggingLabel = false;
 let labelDragStartAngle = 0;
 let labelDragStartRotation = 0;
@@ -73,12 +109,12 @@ function camToThree(x, y, z) {
 
 // ─── Keypoint Accessor ──────────────────────────────────────────────────────
 
-function getKp(frame, idx) {
+function getKp(frame, idx, kps = keypointsData) {
   const off = (frame * 70 + idx) * 3;
   if (isWorldSpace) {
-    return new THREE.Vector3(keypointsData[off], keypointsData[off + 1], keypointsData[off + 2]);
+    return new THREE.Vector3(kps[off], kps[off + 1], kps[off + 2]);
   }
-  return new THREE.Vector3(keypointsData[off], -keypointsData[off + 1], -keypointsData[off + 2]);
+  return new THREE.Vector3(kps[off], -kps[off + 1], -kps[off + 2]);
 }
 
 // ─── Grid Texture (one cell, tiles via repeat) ─────────────────────────────
@@ -122,11 +158,36 @@ function updateLoadingProgress() {
   }
 }
 
-async function loadBinary(url, dtype) {
-  const resp = await fetch(url);
+// Thrown for anything that stops a throw from loading; `problems` lists
+// every missing or broken file so the error screen can show them all
+class ThrowLoadError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ThrowLoadError';
+    this.problems = problems;
+  }
+}
+
+// Problems that don't stop a throw from loading (skipped optional files,
+// metadata disagreeing with video-info.json), listed once the viewer is up
+let loadWarnings = [];
+
+// trackProgress: count the bytes on the loading overlay (off for files
+// loaded after the viewer is up, e.g. a comparison throw)
+async function loadBinary(url, dtype, trackProgress = true) {
+  if (url.startsWith(MISSING_LOCAL_PREFIX)) {
+    throw new ThrowLoadError(`${describeUrl(url)}: not among the local files`);
+  }
+  let resp;
+  try {
+    resp = await fetch(url);
+  } catch (err) {
+    throw new ThrowLoadError(`${describeUrl(url)}: ${err.message}`);
+  }
+  if (!resp.ok) throw new ThrowLoadError(`${describeUrl(url)}: HTTP ${resp.status}`);
   const contentLength = parseInt(resp.headers.get('Content-Length'), 10);
-  if (contentLength) totalBytes += contentLength;
-  updateLoadingProgress();
+  if (trackProgress && contentLength) totalBytes += contentLength;
+  if (trackProgress) updateLoadingProgress();
 
   // Stream the response to track progress
   if (resp.body && contentLength > 100000) {
@@ -138,8 +199,10 @@ async function loadBinary(url, dtype) {
       if (done) break;
       chunks.push(value);
       received += value.length;
-      loadedBytes += value.length;
-      updateLoadingProgress();
+      if (trackProgress) {
+        loadedBytes += value.length;
+        updateLoadingProgress();
+      }
     }
     const buf = new Uint8Array(received);
     let offset = 0;
@@ -155,102 +218,512 @@ async function loadBinary(url, dtype) {
 
   // Small files — no progress tracking needed
   const buf = await resp.arrayBuffer();
-  if (contentLength) loadedBytes += contentLength;
-  updateLoadingProgress();
+  if (trackProgress) {
+    if (contentLength) loadedBytes += contentLength;
+    updateLoadingProgress();
+  }
   if (dtype === 'float32') return new Float32Array(buf);
   if (dtype === 'int32') return new Int32Array(buf);
   if (dtype === 'int8') return new Int8Array(buf);
   return new Uint8Array(buf);
 }
 
+// ─── Data Source ─────────────────────────────────────────────────────────────
+// ?throw=<folder | URL | .../metadata.json> picks the throw (default: this
+// page's folder). Binaries and thumbnails resolve against ?base=<URL>, else
+// metadata.base_url (relative to metadata.json), else the metadata's folder.
+// A locally opened throw (see Local Files) replaces all of that with blob: URLs.
+
+const urlParams = new URLSearchParams(window.location.search);
+const onFileProtocol = window.location.protocol === 'file:';  // standalone build: local files only
+let metadataUrl = null;   // absolute
+let dataBaseUrl = null;   // absolute, ends with '/'
+
+function withSlash(url) {
+  return url.endsWith('/') ? url : url + '/';
+}
+
+function resolveMetadataUrl() {
+  const src = urlParams.get('throw') || '';
+  const name = /\.json$/i.test(src.split('?')[0]) ? src : throwFileUrl(src, 'metadata.json');
+  return new URL(name, window.location.href).href;
+}
+
+function resolveDataBaseUrl() {
+  const base = urlParams.get('base');
+  if (base) return withSlash(new URL(base, window.location.href).href);
+  if (metadata.base_url) return withSlash(new URL(metadata.base_url, metadataUrl).href);
+  return new URL('.', metadataUrl).href;
+}
+
+function dataUrl(name) {
+  if (localFileUrls) return localFileUrls.get(normalizeLocalPath(name)) || MISSING_LOCAL_PREFIX + name;
+  return new URL(name, dataBaseUrl).href;
+}
+
+async function loadMetadata() {
+  metadataUrl = localFileUrls ? dataUrl('metadata.json') : resolveMetadataUrl();
+  let resp;
+  try {
+    resp = await fetch(metadataUrl);
+  } catch (err) {
+    throw new ThrowLoadError('Could not reach metadata.json', [`${describeUrl(metadataUrl)}: ${err.message}`]);
+  }
+  if (!resp.ok) {
+    throw new ThrowLoadError('metadata.json is missing', [`${describeUrl(metadataUrl)}: HTTP ${resp.status}`]);
+  }
+  try {
+    metadata = await resp.json();
+  } catch (err) {
+    throw new ThrowLoadError('metadata.json is not valid JSON', [`${describeUrl(metadataUrl)}: ${err.message}`]);
+  }
+  const { version, problems } = validateMetadata(metadata);
+  if (problems.length) {
+    throw new ThrowLoadError(`metadata.json (version ${version || 'unknown'}) is invalid`, problems);
+  }
+  dataBaseUrl = localFileUrls ? null : resolveDataBaseUrl();
+}
+
+// ─── Local Files ─────────────────────────────────────────────────────────────
+// A throw folder or zip dropped on the page (or picked with ?local) is kept
+// in memory and served as blob: URLs, so loadBinary parses it exactly like a
+// fetched throw and nothing is requested from a data directory.
+
+const MISSING_LOCAL_PREFIX = 'missing-local:';
+let localFileUrls = null;   // Map(relative path → blob: URL) while a local throw is open
+let localThrowName = null;  // folder or zip root holding metadata.json
+let viewerStarted = false;  // drops only replace the throw before the scene exists
+
+// Readable name for messages — local blob: URLs map back to their path
+function describeUrl(url) {
+  if (!localFileUrls) return url;
+  if (url.startsWith(MISSING_LOCAL_PREFIX)) return url.slice(MISSING_LOCAL_PREFIX.length);
+  for (const [path, blobUrl] of localFileUrls) {
+    if (blobUrl === url) return `${localThrowName}/${path}`;
+  }
+  return url;
+}
+
+// Key for per-throw settings in localStorage. Local throws get new blob:
+// URLs every time they are opened, so they are keyed by name instead.
+function throwStorageKey() {
+  return localFileUrls ? `local:${localThrowName}` : metadataUrl;
+}
+
+async function useLocalFiles(files) {
+  const label = document.getElementById('loading-label');
+  const expanded = await expandZips(files, (done, total) => {
+    if (label) label.textContent = `Unzipping ${done} / ${total} files...`;
+  });
+  const { root, files: map } = buildThrowFileMap(expanded);
+
+  if (localFileUrls) for (const url of localFileUrls.values()) URL.revokeObjectURL(url);
+  localFileUrls = new Map();
+  for (const [path, blob] of map) localFileUrls.set(path, URL.createObjectURL(blob));
+  localThrowName = root;
+  if (label) label.textContent = 'Loading mesh data...';
+}
+
+const dropZoneMarkup =
+  `<div class="drop-zone" id="drop-zone">` +
+  `<div>Drop a throw folder or .zip here</div>` +
+  `<div class="drop-zone-buttons">` +
+  `<label class="drop-zone-btn">Choose folder<input type="file" id="local-folder-input" webkitdirectory multiple hidden></label>` +
+  `<label class="drop-zone-btn">Choose .zip<input type="file" id="local-zip-input" accept=".zip,application/zip" hidden></label>` +
+  `</div>` +
+  `</div>`;
+
+function bindDropZoneInputs() {
+  for (const id of ['local-folder-input', 'local-zip-input']) {
+    const input = document.getElementById(id);
+    if (!input) continue;
+    input.addEventListener('change', () => {
+      if (input.files.length) openLocalFiles(collectPickedFiles(input.files));
+    });
+  }
+}
+
+function showLocalDropScreen() {
+  document.getElementById('loading').innerHTML =
+    `<div class="load-error">` +
+    `<div class="load-error-title load-error-title-neutral">Open a throw from this computer</div>` +
+    `<div>The folder (or zip) must contain metadata.json and the files it lists.</div>` +
+    dropZoneMarkup +
+    (onFileProtocol ? '' : `<a href="library.html">Open the throw library</a>`) +
+    `</div>`;
+  bindDropZoneInputs();
+}
+
+async function openLocalFiles(files) {
+  if (viewerStarted) return;
+  document.getElementById('loading').innerHTML = loadingMarkup;
+  try {
+    await useLocalFiles(files);
+  } catch (err) {
+    console.error(err);
+    showLoadError(new ThrowLoadError('Could not open the local files', [err.message]));
+    return;
+  }
+  if (await loadThrow()) startViewer();
+}
+
+function initLocalDrop() {
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();  // otherwise the browser navigates to the dropped file
+    const zone = document.getElementById('drop-zone');
+    if (zone) zone.classList.add('drag-over');
+    e.dataTransfer.dropEffect = viewerStarted ? 'none' : 'copy';
+  });
+  window.addEventListener('dragleave', (e) => {
+    const zone = document.getElementById('drop-zone');
+    if (zone && !e.relatedTarget) zone.classList.remove('drag-over');
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (viewerStarted) return;
+    // Entries must be read synchronously, before the event ends
+    collectDroppedFiles(e.dataTransfer).then(openLocalFiles, (err) => {
+      showLoadError(new ThrowLoadError('Could not read the dropped files', [err.message]));
+    });
+  });
+}
+
+// Optional extras: warn and carry on without them if missing or mis-sized
+async function loadOptionalBinary(key, dtype) {
+  const name = filePath(metadata.files[key]);
+  let arr;
+  try {
+    arr = await loadBinary(dataUrl(name), dtype);
+  } catch (err) {
+    console.warn(`Skipping optional file ${name}: ${err.message}`);
+    loadWarnings.push(`${key}: ${err.message}`);
+    return null;
+  }
+  const mismatch = checkDataLength(metadata, key, arr);
+  if (mismatch) {
+    console.warn(`Skipping optional file ${mismatch}`);
+    loadWarnings.push(`${key}: ${mismatch}`);
+    return null;
+  }
+  return arr;
+}
+
+// video-info.json sits next to metadata.json when frames were extracted for
+// tagging. It is optional, so a missing or unreadable one is not reported.
+async function checkAgainstVideoInfo() {
+  const url = localFileUrls
+    ? localFileUrls.get(normalizeLocalPath('video-info.json'))
+    : new URL('video-info.json', metadataUrl).href;
+  if (!url) return;
+  let info;
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return;
+    info = await resp.json();
+  } catch (err) {
+    return;
+  }
+  const mismatch = checkVideoInfo(metadata, info);
+  if (mismatch) loadWarnings.push(mismatch);
+}
+
 async function loadData() {
-  const resp = await fetch('metadata.json');
-  metadata = await resp.json();
+  totalBytes = 0;
+  loadedBytes = 0;
+  loadWarnings = [];
+  await loadMetadata();
   isWorldSpace = metadata.coord_space === 'world';
+  await checkAgainstVideoInfo();
+
+  // Required binaries — report every missing one, not just the first.
+  // Vertices only wait for the first chunk; the rest stream in later.
+  const required = [
+    ['vertices', null],
+    ['faces', 'int32'],
+    ['keypoints', 'float32'],
+    ['hammer', 'float32'],
+  ];
+  const problems = [];
+  const results = await Promise.allSettled(required.map(([key, dtype]) => (
+    key === 'vertices' ? startVertexStream() : loadBinary(dataUrl(filePath(metadata.files[key])), dtype))));
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') problems.push(`${required[i][0]}: ${r.reason.message}`);
+  });
+  if (problems.length) throw new ThrowLoadError('Required data files are missing', problems);
 
-  const [verts, faces, kps, hammer] = await Promise.all([
-    loadBinary(metadata.files.vertices, 'float32'),
-    loadBinary(metadata.files.faces, 'int32'),
-    loadBinary(metadata.files.keypoints, 'float32'),
-    loadBinary(metadata.files.hammer, 'float32'),
-  ]);
-
-  verticesData = verts;
+  const [sizeProblem, faces, kps, hammer] = results.map(r => r.value);
+  if (sizeProblem) problems.push(sizeProblem);
+  problems.push(...validateDataLengths(metadata, { faces, keypoints: kps, hammer }));
+  if (problems.length) throw new ThrowLoadError('Data files do not match metadata.json', problems);
   facesData = faces;
   keypointsData = kps;
   hammerData = hammer;
 
   // Load fill_type if available
   if (metadata.files.fill_type) {
-    fillTypeData = await loadBinary(metadata.files.fill_type, 'int8');
+    fillTypeData = await loadOptionalBinary('fill_type', 'int8');
   }
 
   // Load per-frame circle positions if available
   if (metadata.files.circle_positions) {
-    circlePositionsData = await loadBinary(metadata.files.circle_positions, 'float32');
+    circlePositionsData = await loadOptionalBinary('circle_positions', 'float32');
   }
 
   // Load support state (SS/DS) if available
   if (metadata.files.support_state) {
-    supportStateData = await loadBinary(metadata.files.support_state, 'int8');
+    supportStateData = await loadOptionalBinary('support_state', 'int8');
   }
 
   // Load leg alignment (precomputed from analytics) if available
   if (metadata.files.leg_alignment) {
-    legAlignmentData = await loadBinary(metadata.files.leg_alignment, 'float32');
+    legAlignmentData = await loadOptionalBinary('leg_alignment', 'float32');
   }
 
   // Load precomputed separation and back lean from analytics pipeline
   if (metadata.files.separation) {
-    pipelineSeparation = await loadBinary(metadata.files.separation, 'float32');
-    console.log(`Loaded pipeline separation: ${pipelineSeparation.length} frames`);
+    pipelineSeparation = await loadOptionalBinary('separation', 'float32');
+    if (pipelineSeparation) console.log(`Loaded pipeline separation: ${pipelineSeparation.length} frames`);
   }
   if (metadata.files.back_lean) {
-    pipelineBackLean = await loadBinary(metadata.files.back_lean, 'float32');
-    console.log(`Loaded pipeline back lean: ${pipelineBackLean.length} frames`);
+    pipelineBackLean = await loadOptionalBinary('back_lean', 'float32');
+    if (pipelineBackLean) console.log(`Loaded pipeline back lean: ${pipelineBackLean.length} frames`);
   }
 
   // Load static vertex colors if available (from paint_mesh_from_video.py)
   if (metadata.files.vertex_colors) {
-    vertexColorsData = await loadBinary(metadata.files.vertex_colors, 'float32');
+    vertexColorsData = await loadOptionalBinary('vertex_colors', 'float32');
   }
 
-  // Preload PiP thumbnail frames
+}
+
+// PiP thumbnails load in the background, in the same order as vertex chunks.
+// pipFrames[f] is only set once its image has loaded.
+function loadPipThumbnails() {
+  let frameSrc;
   if (metadata.pip_thumbnails) {
-    const thumbDir = metadata.pip_thumbnails.dir;
-    const T = metadata.frame_count;
-    pipFrames = new Array(T);
-    const loadPromises = [];
-    for (let f = 0; f < T; f++) {
-      const padded = String(f).padStart(5, '0');
-      const img = new window.Image();
-      const promise = new Promise((resolve) => {
-        img.onload = resolve;
-        img.onerror = resolve;  // don't block on missing frames
-      });
-      img.src = `${thumbDir}/frame_${padded}.jpg`;
-      pipFrames[f] = img;
-      loadPromises.push(promise);
-    }
-    await Promise.all(loadPromises);
+    frameSrc = (f) => dataUrl(thumbnailUrl(metadata, '', f));
+  } else if (!localFileUrls) {
+    // Fallback: try ../frames/ (full-res, legacy path)
+    frameSrc = (f) => dataUrl(`../frames/frame_${String(f).padStart(5, '0')}.jpg`);
   } else {
-    // Fallback: try to preload from ../frames/ (full-res, legacy path)
-    const T = metadata.frame_count;
-    pipFrames = new Array(T);
-    const loadPromises = [];
-    for (let f = 0; f < T; f++) {
-      const padded = String(f).padStart(5, '0');
-      const img = new window.Image();
-      const promise = new Promise((resolve) => {
-        img.onload = resolve;
-        img.onerror = resolve;
-      });
-      img.src = `../frames/frame_${padded}.jpg`;
+    return;
+  }
+
+  const T = metadata.frame_count;
+  pipFrames = new Array(T);
+  const order = [];
+  for (const [s, e] of planFrameChunks(T, VERTEX_CHUNK_FRAMES, 0, getThrowWindowRange())) {
+    for (let f = s; f < e; f++) order.push(f);
+  }
+  const next = () => {
+    if (order.length === 0) return;
+    const f = order.shift();
+    const img = new window.Image();
+    img.onload = () => {
       pipFrames[f] = img;
-      loadPromises.push(promise);
+      if (f === currentFrame) updateFrameDisplay(currentFrame);
+      next();
+    };
+    img.onerror = next;  // missing frames just stay blank
+    img.src = frameSrc(f);
+  };
+  for (let i = 0; i < THUMBNAIL_CONCURRENCY; i++) next();
+}
+
+// ─── Vertex Streaming ────────────────────────────────────────────────────────
+// The viewer starts once the chunk holding frame 0 is decoded. Remaining
+// chunks follow with HTTP Range requests — throw window first, and any
+// frame the user seeks to jumps the queue. Servers that ignore Range (and
+// delta-coded files, which decode in order) are read as one sequential
+// stream instead. Frames not yet loaded show the nearest loaded frame.
+
+const VERTEX_CHUNK_FRAMES = 16;
+const THUMBNAIL_CONCURRENCY = 4;
+
+let vertexFrameLoaded = null;    // Uint8Array(T) — 1 once a frame is decoded
+let vertexFramesRemaining = 0;
+let vertexDecoder = null;        // see vertex-codec.js createFrameDecoder
+let vertexChunkQueue = [];       // [[start, end), ...] still to fetch (Range mode)
+let vertexStreamUrl = null;
+let vertexStreamDone = null;     // Promise — resolves when every frame is in (or streaming failed)
+let resolveVertexStream = null;
+let loadStripPending = false;
+
+function getThrowWindowRange() {
+  const tw = metadata.throw_window;
+  return tw && tw.start != null ? [tw.start, tw.release != null ? tw.release : tw.start] : null;
+}
+
+function markFramesLoaded(f0, f1) {
+  for (let f = f0; f < f1; f++) {
+    if (vertexFrameLoaded[f]) continue;
+    vertexFrameLoaded[f] = 1;
+    vertexFramesRemaining--;
+  }
+  if (vertexFramesRemaining === 0) resolveVertexStream();
+  if (viewerStarted && !playing && currentFrame >= f0 && currentFrame < f1) updateFrame(currentFrame);
+  scheduleLoadStripUpdate();
+}
+
+function displayableVertexFrame(frame) {
+  if (!vertexFrameLoaded || vertexFrameLoaded[frame]) return frame;
+  prioritizeChunk(vertexChunkQueue, frame);
+  const near = nearestLoaded(vertexFrameLoaded, frame);
+  return near < 0 ? frame : near;
+}
+
+// Frames that never arrive keep showing their nearest loaded neighbour
+function stopVertexStream(err) {
+  console.warn(`Vertex streaming stopped: ${err.message}`);
+  resolveVertexStream();
+}
+
+function fetchVertexRange(start, end) {
+  return fetch(vertexStreamUrl, { headers: { Range: `bytes=${start}-${end - 1}` } });
+}
+
+async function readAll(resp, onBytes) {
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (onBytes) onBytes(value.length);
+  }
+  const buf = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) { buf.set(chunk, offset); offset += chunk.length; }
+  return buf;
+}
+
+// Decode frames from a whole-file response as its bytes arrive; resolves
+// firstReady once frame 0 is in, returns when the file is done
+async function streamSequentially(resp, firstReady) {
+  const layout = vertexDecoder.layout;
+  const T = metadata.frame_count;
+  const buf = new Uint8Array(layout.totalBytes);
+  const reader = resp.body.getReader();
+  let received = 0, next = 0, headerDone = !layout.header;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (received + value.length > buf.length) throw new Error(`more than the expected ${buf.length} bytes`);
+    buf.set(value, received);
+    received += value.length;
+    if (next === 0) { loadedBytes += value.length; updateLoadingProgress(); }
+
+    if (!headerDone && received >= layout.header) {
+      vertexDecoder.setHeader(buf.subarray(0, layout.header));
+      headerDone = true;
     }
-    await Promise.all(loadPromises);
+    if (!headerDone) continue;
+    let end = next;
+    while (end < T && layout.frameStart(end + 1) <= received) end++;
+    if (end > next) {
+      vertexDecoder.decode(next, end, buf.subarray(layout.frameStart(next), layout.frameStart(end)));
+      markFramesLoaded(next, end);
+      if (next === 0) firstReady();
+      next = end;
+    }
+  }
+  if (next < T) throw new Error(`file ended after ${next} of ${T} frames`);
+}
+
+async function fetchNextVertexChunks() {
+  const layout = vertexDecoder.layout;
+  while (vertexChunkQueue.length) {
+    const [s, e] = vertexChunkQueue.shift();
+    if (vertexFrameLoaded.subarray(s, e).every(Boolean)) continue;
+    const resp = await fetchVertexRange(layout.frameStart(s), layout.frameStart(e));
+    if (resp.status !== 206) throw new Error(`HTTP ${resp.status} for frames ${s}–${e - 1}`);
+    vertexDecoder.decode(s, e, await readAll(resp));
+    markFramesLoaded(s, e);
+  }
+}
+
+// Resolves with a file-size problem (or null) once frame 0 can be shown
+async function startVertexStream() {
+  const T = metadata.frame_count, V = metadata.vertex_count;
+  verticesData = new Float32Array(T * V * 3);
+  vertexFrameLoaded = new Uint8Array(T);
+  vertexFramesRemaining = T;
+  vertexStreamDone = new Promise(r => { resolveVertexStream = r; });
+  vertexDecoder = createFrameDecoder(metadata.files.vertices, T, V, verticesData);
+  vertexStreamUrl = dataUrl(filePath(metadata.files.vertices));
+  if (vertexStreamUrl.startsWith(MISSING_LOCAL_PREFIX)) {
+    throw new ThrowLoadError(`${describeUrl(vertexStreamUrl)}: not among the local files`);
+  }
+
+  const layout = vertexDecoder.layout;
+  vertexChunkQueue = planFrameChunks(T, VERTEX_CHUNK_FRAMES, 0, getThrowWindowRange());
+  const [s0, e0] = vertexChunkQueue.shift();  // holds frame 0 — starts at byte 0
+
+  let resp;
+  try {
+    resp = layout.sequential ? await fetch(vertexStreamUrl) : await fetchVertexRange(0, layout.frameStart(e0));
+  } catch (err) {
+    throw new ThrowLoadError(`${describeUrl(vertexStreamUrl)}: ${err.message}`);
+  }
+  if (!resp.ok) throw new ThrowLoadError(`${describeUrl(vertexStreamUrl)}: HTTP ${resp.status}`);
+
+  if (resp.status === 206) {
+    const total = parseInt((resp.headers.get('Content-Range') || '').split('/')[1], 10);
+    const sizeProblem = total ? checkVertexFileSize(metadata, total) : null;
+    if (sizeProblem) return sizeProblem;
+    totalBytes += layout.frameStart(e0);
+    const bytes = await readAll(resp, (n) => { loadedBytes += n; updateLoadingProgress(); });
+    if (layout.header) vertexDecoder.setHeader(bytes.subarray(0, layout.header));
+    vertexDecoder.decode(s0, e0, bytes.subarray(layout.header));
+    markFramesLoaded(s0, e0);
+    fetchNextVertexChunks().catch(stopVertexStream);
+    return null;
+  }
+
+  // Whole file (no Range support, or delta-coded)
+  vertexChunkQueue = [];
+  // Content-Length of a gzip'd response is the compressed size — don't compare it
+  const length = resp.headers.get('Content-Encoding') ? 0 : parseInt(resp.headers.get('Content-Length'), 10);
+  const sizeProblem = length ? checkVertexFileSize(metadata, length) : null;
+  if (sizeProblem) return sizeProblem;
+  totalBytes += layout.frameStart(Math.min(T, VERTEX_CHUNK_FRAMES));
+  updateLoadingProgress();
+  return new Promise((resolve, reject) => {
+    let started = false;
+    streamSequentially(resp, () => { started = true; resolve(null); }).catch((err) => {
+      if (started) stopVertexStream(err);
+      else reject(new ThrowLoadError(`${describeUrl(vertexStreamUrl)}: ${err.message}`));
+    });
+  });
+}
+
+function scheduleLoadStripUpdate() {
+  if (loadStripPending) return;
+  loadStripPending = true;
+  requestAnimationFrame(() => {
+    loadStripPending = false;
+    renderLoadStrip();
+  });
+}
+
+// Loaded frames as blue runs under the scrubber; hidden once complete
+function renderLoadStrip() {
+  const strip = document.getElementById('load-strip');
+  if (!strip || !vertexFrameLoaded) return;
+  const T = metadata.frame_count;
+  strip.classList.toggle('hidden', vertexFramesRemaining === 0);
+  if (vertexFramesRemaining === 0) return;
+  const span = timelineMax - timelineMin + 1;
+  if (span <= 0) return;
+  const stops = [];
+  for (const [s, e] of loadedRuns(vertexFrameLoaded, timelineMin, timelineMax)) {
+    const a = ((s - timelineMin) / span) * 100, b = ((e - timelineMin) / span) * 100;
+    stops.push(`transparent ${a}%`, `#4a9eff ${a}%`, `#4a9eff ${b}%`, `transparent ${b}%`);
   }
+  strip.style.backgroundImage = stops.length ? `linear-gradient(to right, ${stops.join(', ')})` : 'none';
+  strip.title = `${T - vertexFramesRemaining} / ${T} frames loaded`;
 }
 
 // ─── Scene Setup ─────────────────────────────────────────────────────────────
@@ -305,23 +778,8 @@ function initScene() {
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
     applyTimelineRange();
-    // Re-size overlay canvas if graph is active
-    if (graphOverlayActive) {
-      const overlayId = activeOverlaySource === 'separation' ? 'separation-container' : 'kneeangle-container';
-      const drawFn = activeOverlaySource === 'separation' ? drawSeparationGraph : drawLegCorotationGraph;
-      const oc = document.getElementById(overlayId);
-      if (oc && oc.style.display !== 'none') {
-        const canvas = oc.querySelector('canvas');
-        if (canvas) {
-          requestAnimationFrame(() => {
-            const rect = canvas.getBoundingClientRect();
-            canvas.width = Math.round(rect.width);
-            canvas.height = Math.round(rect.height);
-            drawFn(currentFrame);
-          });
-        }
-      }
-    }
+    // Graphs follow their CSS size (media queries, overlay) on the next draw
+    requestAnimationFrame(redrawVisibleGraphs);
   });
 }
 
@@ -374,6 +832,7 @@ function createBodyMesh() {
 }
 
 function updateMeshFrame(frame) {
+  frame = displayableVertexFrame(frame);
   const V = metadata.vertex_count;
   const offset = frame * V * 3;
   const posAttr = bodyMesh.geometry.getAttribute('position');
@@ -397,6 +856,158 @@ function updateMeshFrame(frame) {
   bodyMesh.geometry.computeVertexNormals();
 }
 
+// ─── Keypoint Skeleton ───────────────────────────────────────────────────────
+
+// Drawn on top of the mesh (no depth test) so joints stay visible inside it
+const SKELETON_SIDE_COLORS = { left: 0x4a9eff, right: 0xff9f43, center: 0xdddddd };
+const SKELETON_JOINT_RADIUS = { body: 0.015, hands: 0.006 };  // meters
+const SKELETON_HOVER_PX = 12;
+
+let skeletonGroup = null;
+let skeletonParts = null;      // {body, hands}: {joints: InstancedMesh, bones: LineSegments, indices: [kp]}
+let skeletonShowHands = true;
+let skeletonHideMesh = false;  // only while the skeleton is shown
+let skeletonPositions = null;  // Float32Array(70 * 3) — current frame, Three.js space; NaN if missing
+
+function createSkeletonPart(name, indices, bones) {
+  const material = new THREE.MeshBasicMaterial({ depthTest: false, transparent: true, opacity: 0.95 });
+  const joints = new THREE.InstancedMesh(new THREE.SphereGeometry(SKELETON_JOINT_RADIUS[name], 10, 8), material, indices.length);
+  const color = new THREE.Color();
+  indices.forEach((kp, i) => joints.setColorAt(i, color.setHex(SKELETON_SIDE_COLORS[keypointSide(kp)])));
+  joints.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+  // One color per bone end, from the side of the bone's distal joint
+  const geo = new THREE.BufferGeometry();
+  const posAttr = new THREE.BufferAttribute(new Float32Array(bones.length * 6), 3);
+  posAttr.setUsage(THREE.DynamicDrawUsage);
+  geo.setAttribute('position', posAttr);
+  const colors = new Float32Array(bones.length * 6);
+  bones.forEach(([, b], i) => {
+    color.setHex(SKELETON_SIDE_COLORS[keypointSide(b)]);
+    color.toArray(colors, i * 6);
+    color.toArray(colors, i * 6 + 3);
+  });
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  const lines = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({
+    vertexColors: true, depthTest: false, transparent: true, opacity: 0.8,
+  }));
+
+  for (const obj of [joints, lines]) {
+    obj.renderOrder = 10;
+    obj.frustumCulled = false;  // positions change every frame
+    skeletonGroup.add(obj);
+  }
+  return { joints, bones: lines, boneList: bones, indices };
+}
+
+function createSkeleton() {
+  skeletonGroup = new THREE.Group();
+  skeletonGroup.visible = false;
+  skeletonPositions = new Float32Array(MHR70_NAMES.length * 3);
+
+  const all = MHR70_NAMES.map((_, i) => i);
+  skeletonParts = {
+    body: createSkeletonPart('body', all.filter(i => !isHandKeypoint(i)), MHR70_BONES.body),
+    hands: createSkeletonPart('hands', all.filter(isHandKeypoint), MHR70_BONES.hands),
+  };
+  scene.add(skeletonGroup);
+}
+
+// kps: the keypoints to draw from (blended ones during smooth playback)
+function updateSkeletonFrame(frame, kps = keypointsData) {
+  if (!skeletonGroup || !skeletonGroup.visible) return;
+  for (let i = 0; i < MHR70_NAMES.length; i++) {
+    getKp(frame, i, kps).toArray(skeletonPositions, i * 3);
+  }
+
+  const m = new THREE.Matrix4();
+  const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  for (const part of Object.values(skeletonParts)) {
+    part.indices.forEach((kp, i) => {
+      const o = kp * 3;
+      const x = skeletonPositions[o], y = skeletonPositions[o + 1], z = skeletonPositions[o + 2];
+      part.joints.setMatrixAt(i, Number.isFinite(x + y + z) ? m.makeTranslation(x, y, z) : hidden);
+    });
+    part.joints.instanceMatrix.needsUpdate = true;
+
+    // A bone with a missing end collapses onto its valid end (or the origin)
+    const posAttr = part.bones.geometry.getAttribute('position');
+    const arr = posAttr.array;
+    part.boneList.forEach(([a, b], i) => {
+      arr.set(skeletonPositions.subarray(a * 3, a * 3 + 3), i * 6);
+      arr.set(skeletonPositions.subarray(b * 3, b * 3 + 3), i * 6 + 3);
+      for (let k = 0; k < 6; k++) if (!Number.isFinite(arr[i * 6 + k])) arr[i * 6 + k] = 0;
+    });
+    posAttr.needsUpdate = true;
+  }
+}
+
+function setSkeletonVisible(visible) {
+  skeletonGroup.visible = visible;
+  skeletonParts.hands.joints.visible = skeletonShowHands;
+  skeletonParts.hands.bones.visible = skeletonShowHands;
+  bodyMesh.visible = !(visible && skeletonHideMesh);
+  if (visible) updateSkeletonFrame(currentFrame);
+  else document.getElementById('skeleton-tooltip').classList.add('hidden');
+}
+
+// Nearest visible joint to the pointer on screen, within SKELETON_HOVER_PX
+function skeletonJointAt(clientX, clientY) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const p = new THREE.Vector3();
+  let best = -1, bestDist = SKELETON_HOVER_PX;
+  for (let i = 0; i < MHR70_NAMES.length; i++) {
+    if (!skeletonShowHands && isHandKeypoint(i)) continue;
+    p.fromArray(skeletonPositions, i * 3);
+    if (!Number.isFinite(p.x + p.y + p.z)) continue;
+    p.project(camera);
+    if (p.z > 1) continue;  // behind the camera
+    const dx = rect.left + (p.x + 1) / 2 * rect.width - clientX;
+    const dy = rect.top + (1 - p.y) / 2 * rect.height - clientY;
+    const d = Math.hypot(dx, dy);
+    if (d < bestDist) { bestDist = d; best = i; }
+  }
+  return best;
+}
+
+function setupSkeletonHover() {
+  const tooltip = document.getElementById('skeleton-tooltip');
+  const domEl = renderer.domElement;
+
+  domEl.addEventListener('pointermove', (event) => {
+    if (!skeletonGroup.visible || isDraggingLabel || event.buttons) {
+      tooltip.classList.add('hidden');
+      return;
+    }
+    const kp = skeletonJointAt(event.clientX, event.clientY);
+    if (kp < 0) {
+      tooltip.classList.add('hidden');
+      return;
+    }
+    tooltip.textContent = `${kp} · ${keypointLabel(kp)}`;
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+    tooltip.classList.remove('hidden');
+  });
+  domEl.addEventListener('pointerleave', () => tooltip.classList.add('hidden'));
+}
+
+function initSkeletonPanel() {
+  const meshBox = document.getElementById('skeleton-hide-mesh');
+  const handsBox = document.getElementById('skeleton-hands');
+  if (!meshBox || !handsBox) return;
+
+  meshBox.addEventListener('change', () => {
+    skeletonHideMesh = meshBox.checked;
+    setSkeletonVisible(skeletonGroup.visible);
+  });
+  handsBox.addEventListener('change', () => {
+    skeletonShowHands = handsBox.checked;
+    setSkeletonVisible(skeletonGroup.visible);
+  });
+  setupSkeletonHover();
+}
+
 // ─── Hammer ──────────────────────────────────────────────────────────────────
 
 // fill_type colors: 0=raw (orange), 1=manual (green), 2=propagated (cyan),
@@ -428,7 +1039,7 @@ function updateHammerFrame(frame) {
   hammerSphere.position.set(x, y, z);
 
   // Hide hammer at invalid frames (NaN = post max-height, zero = legacy)
-  const isInvalid = isNaN(hammerData[off]) || (hammerData[off] === 0 && hammerData[off+1] === 0 && hammerData[off+2] === 0);
+  const isInvalid = !isHammerSampleValid(hammerData, frame);
   hammerSphere.visible = !isInvalid;
 
   // Color by fill_type provenance
@@ -454,8 +1065,7 @@ function precomputeOrbitExtremes() {
   // Helper: get hammer Y at frame (Three.js Y = up)
   function hammerY(f) {
     const off = f * 3;
-    if (isNaN(hammerData[off])) return null;
-    if (hammerData[off] === 0 && hammerData[off + 1] === 0 && hammerData[off + 2] === 0) return null;
+    if (!isHammerSampleValid(hammerData, f)) return null;
     return camToThree(hammerData[off], hammerData[off + 1], hammerData[off + 2])[1];
   }
 
@@ -555,90 +1165,387 @@ function updateOrbitExtremesFrame(frame) {
   }
 }
 
-// ─── Ground Reference ────────────────────────────────────────────────────────
+// ─── Hammer Trail ────────────────────────────────────────────────────────────
 
-function createGround() {
-  // Grid at the feet level for spatial reference
-  // We'll position it after loading the first frame
-  groundGroup = new THREE.Group();
-  scene.add(groundGroup);
+let trailLine = null;          // THREE.LineSegments — one segment per consecutive valid frame pair
+let trailWindow = 'last';      // 'last' | 'turn' | 'all'
+let trailLength = 30;          // frames, for 'last'
+let trailColorMode = 'fill';   // 'fill' | 'speed'
+
+// Turn segment containing frame: wind before T0, then one per boundary pair,
+// the last running to release (or the last hammer frame)
+function getTurnRange(frame) {
+  const b = metadata.turn_boundaries || [];
+  const tw = metadata.throw_window || {};
+  if (b.length === 0 || frame < b[0]) return { start: 0, end: b.length ? b[0] : lastHammerFrame };
+  for (let i = 0; i < b.length - 1; i++) {
+    if (frame < b[i + 1]) return { start: b[i], end: b[i + 1] };
+  }
+  return { start: b[b.length - 1], end: Math.max(b[b.length - 1], tw.release || lastHammerFrame) };
 }
 
-function positionGround(frame) {
-  // Clear old ground
-  while (groundGroup.children.length) groundGroup.remove(groundGroup.children[0]);
+function createHammerTrail() {
+  const T = metadata.frame_count;
+  const geometry = new THREE.BufferGeometry();
+  const pos = new THREE.BufferAttribute(new Float32Array(T * 2 * 3), 3);
+  const col = new THREE.BufferAttribute(new Float32Array(T * 2 * 3), 3);
+  pos.setUsage(THREE.StreamDrawUsage);
+  col.setUsage(THREE.StreamDrawUsage);
+  geometry.setAttribute('position', pos);
+  geometry.setAttribute('color', col);
+  geometry.setDrawRange(0, 0);
+
+  trailLine = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.9,
+  }));
+  trailLine.frustumCulled = false;
+  trailLine.visible = false;  // off until toggled
+  scene.add(trailLine);
+}
 
-  const V = metadata.vertex_count;
-  const offset = frame * V * 3;
+// Blue (slow) → yellow → red (fast)
+function speedColor(speed, out) {
+  const max = hammerKinematics.maxSpeed;
+  const t = max > 0 && !isNaN(speed) ? Math.min(1, speed / max) : 0;
+  if (t < 0.5) out.setRGB(0.2 + t * 1.6, 0.4 + t * 1.0, 1.0 - t * 1.8);
+  else out.setRGB(1.0, 0.9 - (t - 0.5) * 1.6, 0.1);
+  return out;
+}
 
-  if (isWorldSpace) {
-    // World space: ground_y from metadata, center grid on body XZ
-    groundY = metadata.ground_y;
-    const grid = new THREE.GridHelper(8, 16, 0x444444, 0x333333);
-    grid.position.y = groundY;
+function getTrailRange(frame) {
+  if (trailWindow === 'all') return { start: 0, end: lastHammerFrame };
+  if (trailWindow === 'turn') return { start: getTurnRange(frame).start, end: frame };
+  return { start: Math.max(0, frame - trailLength), end: frame };
+}
 
-    let cx = 0, cz = 0;
-    for (let i = 0; i < V; i++) {
-      cx += verticesData[offset + i * 3];
-      cz += verticesData[offset + i * 3 + 2];
-    }
-    cx /= V;
-    cz /= V;
-    grid.position.x = cx;
-    grid.position.z = cz;
-    groundGroup.add(grid);
-  } else {
-    // Camera space: find lowest Y from vertex data
-    let maxCamY = -Infinity;
-    for (let i = 0; i < V; i++) {
-      const cy = verticesData[offset + i * 3 + 1];
-      if (cy > maxCamY) maxCamY = cy;
+function updateHammerTrail(frame) {
+  if (!trailLine || !trailLine.visible) return;
+  const { start, end } = getTrailRange(frame);
+  const pos = trailLine.geometry.getAttribute('position');
+  const col = trailLine.geometry.getAttribute('color');
+  const color = new THREE.Color();
+  let n = 0;
+
+  // Segments only between consecutive valid frames — gaps stay broken
+  for (let f = start + 1; f <= end; f++) {
+    if (!isHammerSampleValid(hammerData, f) || !isHammerSampleValid(hammerData, f - 1)) continue;
+    if (trailColorMode === 'speed') {
+      speedColor(hammerKinematics.speed[f], color);
+    } else {
+      const ft = fillTypeData ? fillTypeData[f] : 0;
+      color.setHex((FILL_TYPE_COLORS[ft] || FILL_TYPE_COLORS[0]).color);
     }
-    const feetY = -maxCamY;
-    groundY = feetY;
-
-    const grid = new THREE.GridHelper(6, 12, 0x444444, 0x333333);
-    grid.position.y = feetY;
-
-    let cx = 0, cz = 0;
-    for (let i = 0; i < V; i++) {
-      cx += verticesData[offset + i * 3];
-      cz += verticesData[offset + i * 3 + 2];
+    for (const g of [f - 1, f]) {
+      const off = g * 3;
+      const [x, y, z] = camToThree(hammerData[off], hammerData[off + 1], hammerData[off + 2]);
+      pos.array[n * 3] = x; pos.array[n * 3 + 1] = y; pos.array[n * 3 + 2] = z;
+      col.array[n * 3] = color.r; col.array[n * 3 + 1] = color.g; col.array[n * 3 + 2] = color.b;
+      n++;
     }
-    cx /= V;
-    cz /= V;
-    grid.position.x = cx;
-    grid.position.z = -cz;  // flip Z
-    groundGroup.add(grid);
   }
-}
 
-// ─── Leg Planes ─────────────────────────────────────────────────────────────
+  trailLine.geometry.setDrawRange(0, n);
+  pos.needsUpdate = true;
+  col.needsUpdate = true;
+}
 
-function makeLegPlaneMesh(r, g, b) {
-  const geo = new THREE.BufferGeometry();
-  const pos = new Float32Array(4 * 3);
-  const pa = new THREE.BufferAttribute(pos, 3);
-  pa.setUsage(THREE.StreamDrawUsage);
-  geo.setAttribute('position', pa);
+function updateTrailStatus() {
+  const status = document.getElementById('trail-status');
+  if (!status) return;
+  status.textContent = trailColorMode === 'speed'
+    ? `Blue → red: 0 – ${hammerKinematics.maxSpeed.toFixed(1)} m/s (smoothed)`
+    : 'Colored by hammer provenance (see legend)';
+}
 
-  const uv = new Float32Array([0,1, 1,1, 0,0, 1,0]);
-  geo.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
-  geo.setIndex([0,2,1, 1,2,3]);
+function initTrailPanel() {
+  const windowSel = document.getElementById('trail-window');
+  const lengthInput = document.getElementById('trail-length');
+  const colorSel = document.getElementById('trail-color');
+  if (!windowSel || !lengthInput || !colorSel) return;
 
-  const tex = createPlaneTexture(r, g, b);
-  const mat = new THREE.MeshBasicMaterial({
-    map: tex,
-    transparent: true,
-    opacity: 0.30,
-    side: THREE.DoubleSide,
-    depthWrite: false,
+  windowSel.addEventListener('change', () => {
+    trailWindow = windowSel.value;
+    lengthInput.disabled = trailWindow !== 'last';
+    updateHammerTrail(currentFrame);
   });
-
-  return { mesh: new THREE.Mesh(geo, mat), posAttr: pa, texture: tex };
+  lengthInput.addEventListener('change', () => {
+    trailLength = Math.max(2, parseInt(lengthInput.value, 10) || 30);
+    lengthInput.value = trailLength;
+    updateHammerTrail(currentFrame);
+  });
+  lengthInput.addEventListener('keydown', (e) => e.stopPropagation());
+  colorSel.addEventListener('change', () => {
+    trailColorMode = colorSel.value;
+    updateTrailStatus();
+    updateHammerTrail(currentFrame);
+  });
+  updateTrailStatus();
 }
 
-function createLegPlanes() {
+// ─── Hammer Kinematics ───────────────────────────────────────────────────────
+
+let hammerKinematics = null;   // {speed, velocity, accel, lowConfidence, maxSpeed, ...} — see kinematics.js
+let turnPeakSpeeds = [];       // [{label, frame, speed, lowConfidence}, ...]
+let releaseEstimate = null;    // {frame, speed, angle, lowConfidence} or null
+
+function precomputeHammerKinematics() {
+  const T = metadata.frame_count;
+  const positions = new Float32Array(T * 3);
+  for (let f = 0; f < T; f++) {
+    const off = f * 3;
+    if (!isHammerSampleValid(hammerData, f)) {
+      positions[off] = positions[off + 1] = positions[off + 2] = NaN;
+      continue;
+    }
+    const [x, y, z] = camToThree(hammerData[off], hammerData[off + 1], hammerData[off + 2]);
+    positions[off] = x; positions[off + 1] = y; positions[off + 2] = z;
+  }
+
+  hammerKinematics = computeKinematics(positions, fillTypeData, metadata.fps);
+  const tw = metadata.throw_window || {};
+  turnPeakSpeeds = peakSpeedPerTurn(hammerKinematics, metadata.turn_boundaries, metadata.turn_labels, tw.release);
+  releaseEstimate = estimateRelease(hammerKinematics, tw.release);
+}
+
+function drawSpeedGraph(frame) {
+  if (!metricGraphs || !hammerKinematics) return;
+  const { speed, lowConfidence } = hammerKinematics;
+  metricGraphs.speed.draw(frame, [{
+    values: speed,
+    label: 'Speed',
+    color: '#e07000',
+    // Solid orange when tracked, dashed gray when reconstructed
+    style: (i) => (lowConfidence[i - 1] || lowConfidence[i]
+      ? { color: 'rgba(150, 150, 150, 0.9)', width: 1.5, dash: [3, 2] }
+      : { color: '#e07000', width: 2 }),
+    // '~' marks low-confidence (reconstructed) frames
+    valueColor: (v, f) => (lowConfidence[f] ? '#999' : '#e07000'),
+    valueText: (f) => (lowConfidence[f] ? '~' : '') + speed[f].toFixed(1),
+  }], timelineMin, timelineMax);
+}
+
+// Peak per turn
+function drawTurnPeakSpeeds(ctx, xPx, yPx, fStart, fEnd) {
+  ctx.font = '9px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  for (const p of turnPeakSpeeds) {
+    if (p.frame < fStart || p.frame > fEnd) continue;
+    ctx.fillStyle = '#b35900';
+    ctx.beginPath(); ctx.arc(xPx(p.frame), yPx(p.speed), 2.5, 0, Math.PI * 2); ctx.fill();
+    ctx.fillText(p.speed.toFixed(1), xPx(p.frame), yPx(p.speed) - 3);
+  }
+}
+
+function updateSpeedDisplay(frame) {
+  const el = document.getElementById('speed-display');
+  if (!el || !hammerKinematics) return;
+  const v = hammerKinematics.speed[frame];
+  const cur = isNaN(v) ? '— m/s' : `${hammerKinematics.lowConfidence[frame] ? '~' : ''}${v.toFixed(1)} m/s`;
+  let rel = '';
+  if (releaseEstimate) {
+    const approx = releaseEstimate.lowConfidence ? '~' : '';
+    rel = `  ·  Release ${approx}${releaseEstimate.speed.toFixed(1)} m/s @ ${releaseEstimate.angle.toFixed(0)}°`;
+  }
+  el.textContent = cur + rel;
+}
+
+// ─── Orbit Planes (per-turn fit) ─────────────────────────────────────────────
+
+// Per-turn palette, reused wherever turns are colored
+const TURN_COLORS = [0x4a9eff, 0xff9f43, 0x2ecc71, 0xe056fd, 0xff6b6b, 0xf1c40f];
+
+let orbitTurns = [];           // [{label, start, end, plane, inclination, high, low, disc}, ...]
+let orbitPlanesGroup = null;
+
+function precomputeOrbitPlanes() {
+  orbitTurns = [];
+  const boundaries = metadata.turn_boundaries;
+  if (!hammerData || !boundaries || boundaries.length < 2) return;
+
+  const highs = orbitExtremes.filter(e => e.type === 'high');
+  const lows = orbitExtremes.filter(e => e.type === 'low');
+
+  // One turn per boundary pair — same segments as precomputeOrbitExtremes
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i], end = boundaries[i + 1];
+    const points = [];
+    for (let f = start; f <= end; f++) {
+      if (!isHammerSampleValid(hammerData, f)) continue;
+      const off = f * 3;
+      points.push(camToThree(hammerData[off], hammerData[off + 1], hammerData[off + 2]));
+    }
+    const plane = fitPlane(points);
+    if (!plane) continue;
+
+    // The turn's low point is the one that closes its orbit, after its high
+    const high = highs.find(e => e.frame >= start && e.frame <= end) || null;
+    const low = high ? (lows.find(e => e.frame > high.frame) || null) : null;
+
+    orbitTurns.push({
+      label: metadata.turn_labels ? metadata.turn_labels[i] : `T${i}`,
+      start, end, plane,
+      inclination: inclinationDeg(plane.normal),
+      high, low,
+      disc: null,
+    });
+  }
+}
+
+function createOrbitPlanes() {
+  orbitPlanesGroup = new THREE.Group();
+  orbitPlanesGroup.visible = false;  // off until toggled
+
+  orbitTurns.forEach((turn, i) => {
+    const { centroid, normal, radius } = turn.plane;
+    const mat = new THREE.MeshBasicMaterial({
+      color: TURN_COLORS[i % TURN_COLORS.length],
+      transparent: true,
+      opacity: 0.12,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    const disc = new THREE.Mesh(new THREE.CircleGeometry(radius, 48), mat);
+    disc.position.set(centroid[0], centroid[1], centroid[2]);
+    disc.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3(...normal));
+    turn.disc = disc;
+    orbitPlanesGroup.add(disc);
+  });
+
+  scene.add(orbitPlanesGroup);
+}
+
+function updateOrbitPlanesFrame(frame) {
+  if (!orbitPlanesGroup || !orbitPlanesGroup.visible) return;
+  // Current turn's plane stands out
+  for (const turn of orbitTurns) {
+    turn.disc.material.opacity = (frame >= turn.start && frame < turn.end) ? 0.3 : 0.12;
+  }
+}
+
+// Circle center + current 0° yaw (includes the user-dragged label rotation)
+function getCircleAzimuthRef() {
+  if (!circleLabelsGroup) return null;
+  const center = new THREE.Vector3();
+  circleLabelsGroup.getWorldPosition(center);
+  return { center: [center.x, center.y, center.z], zeroYaw: circleZeroYaw + circleLabelsGroup.rotation.y };
+}
+
+function renderOrbitTable() {
+  const panel = document.getElementById('orbit-panel');
+  const body = document.getElementById('orbit-table-body');
+  if (!panel || !body || panel.classList.contains('hidden')) return;
+
+  const ref = getCircleAzimuthRef();
+  body.innerHTML = '';
+  orbitTurns.forEach((turn, i) => {
+    const az = (ref && turn.low) ? azimuthDeg(turn.low.pos, ref.center, ref.zeroYaw).toFixed(0) + '°' : '—';
+    const swatch = '#' + TURN_COLORS[i % TURN_COLORS.length].toString(16).padStart(6, '0');
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      `<td><span class="legend-dot" style="background:${swatch}"></span> ${escapeHtml(turn.label)}</td>` +
+      `<td>${turn.start}–${turn.end}</td>` +
+      `<td>${turn.inclination.toFixed(1)}°</td>` +
+      `<td>${az}</td>` +
+      `<td>${(turn.plane.rmse * 100).toFixed(1)}</td>`;
+    tr.addEventListener('click', () => setFrame(Math.min(timelineMax, Math.max(timelineMin, turn.start))));
+    body.appendChild(tr);
+  });
+
+  const status = document.getElementById('orbit-status');
+  if (status) {
+    status.textContent = ref
+      ? 'Tilt vs ground; low-point azimuth in circle degrees (drag 0° to re-zero)'
+      : 'Tilt vs ground; no throwing circle detected, so no azimuth';
+  }
+}
+
+// ─── Ground Reference ────────────────────────────────────────────────────────
+
+function createGround() {
+  // Grid at the feet level for spatial reference
+  // We'll position it after loading the first frame
+  groundGroup = new THREE.Group();
+  scene.add(groundGroup);
+}
+
+function positionGround(frame) {
+  // Clear old ground
+  while (groundGroup.children.length) groundGroup.remove(groundGroup.children[0]);
+
+  const V = metadata.vertex_count;
+  const offset = frame * V * 3;
+
+  if (isWorldSpace) {
+    // World space: ground_y from metadata, center grid on body XZ
+    groundY = metadata.ground_y;
+    const grid = new THREE.GridHelper(8, 16, 0x444444, 0x333333);
+    grid.position.y = groundY;
+
+    let cx = 0, cz = 0;
+    for (let i = 0; i < V; i++) {
+      cx += verticesData[offset + i * 3];
+      cz += verticesData[offset + i * 3 + 2];
+    }
+    cx /= V;
+    cz /= V;
+    grid.position.x = cx;
+    grid.position.z = cz;
+    groundGroup.add(grid);
+  } else {
+    // Camera space: find lowest Y from vertex data
+    let maxCamY = -Infinity;
+    for (let i = 0; i < V; i++) {
+      const cy = verticesData[offset + i * 3 + 1];
+      if (cy > maxCamY) maxCamY = cy;
+    }
+    const feetY = -maxCamY;
+    groundY = feetY;
+
+    const grid = new THREE.GridHelper(6, 12, 0x444444, 0x333333);
+    grid.position.y = feetY;
+
+    let cx = 0, cz = 0;
+    for (let i = 0; i < V; i++) {
+      cx += verticesData[offset + i * 3];
+      cz += verticesData[offset + i * 3 + 2];
+    }
+    cx /= V;
+    cz /= V;
+    grid.position.x = cx;
+    grid.position.z = -cz;  // flip Z
+    groundGroup.add(grid);
+  }
+}
+
+// ─── Leg Planes ─────────────────────────────────────────────────────────────
+
+function makeLegPlaneMesh(r, g, b) {
+  const geo = new THREE.BufferGeometry();
+  const pos = new Float32Array(4 * 3);
+  const pa = new THREE.BufferAttribute(pos, 3);
+  pa.setUsage(THREE.StreamDrawUsage);
+  geo.setAttribute('position', pa);
+
+  const uv = new Float32Array([0,1, 1,1, 0,0, 1,0]);
+  geo.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+  geo.setIndex([0,2,1, 1,2,3]);
+
+  const tex = createPlaneTexture(r, g, b);
+  const mat = new THREE.MeshBasicMaterial({
+    map: tex,
+    transparent: true,
+    opacity: 0.30,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  });
+
+  return { mesh: new THREE.Mesh(geo, mat), posAttr: pa, texture: tex };
+}
+
+function createLegPlanes() {
   legPlanesGroup = new THREE.Group();
   leftLegPlane  = makeLegPlaneMesh(70, 140, 220);   // blue
   rightLegPlane = makeLegPlaneMesh(220, 90, 70);     // coral
@@ -717,117 +1624,29 @@ function updateLegPlanes(frame) {
 let legAlignmentData = null;  // Float32Array(T) — from analytics leg_alignment_deg
 
 function drawLegCorotationGraph(frame) {
-  const canvas = document.getElementById('kneeangle-graph');
-  if (!canvas || !legAlignmentData) return;
-  const ctx = canvas.getContext('2d');
-  const w = canvas.width, h = canvas.height;
-
-  // White background
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, w, h);
-
-  const fStart = timelineMin;
-  const fEnd = timelineMax;
-
-  const pad = { left: 40, right: 10, top: 22, bottom: 22 };
-  const plotW = w - pad.left - pad.right;
-  const plotH = h - pad.top - pad.bottom;
-
-  let dataMin = Infinity, dataMax = -Infinity;
-  for (let i = fStart; i <= fEnd; i++) {
-    const v = legAlignmentData[i];
-    if (v < dataMin) dataMin = v;
-    if (v > dataMax) dataMax = v;
-  }
-  const legBuf = Math.max((dataMax - dataMin) * 0.05, 1);
-  const yMinVal = Math.floor((dataMin - legBuf) / 5) * 5;
-  const yMaxVal = Math.ceil((dataMax + legBuf) / 5) * 5;
-  const fRange = Math.max(1, fEnd - fStart);
-
-  function xPx(f) { return pad.left + ((f - fStart) / fRange) * plotW; }
-  function yPx(v) { return pad.top + (1 - (v - yMinVal) / (yMaxVal - yMinVal)) * plotH; }
-
-  const inWindow = frame >= fStart && frame <= fEnd;
-
-  // SS/DS shading (gray for SS, white for DS) + labels
-  drawSSDSShading(ctx, xPx, pad, plotH, fStart, fEnd);
-
-  // Reference thresholds
-  ctx.setLineDash([6, 4]);
-  ctx.lineWidth = 1;
-  if (yMinVal <= 15 && yMaxVal >= 15) {
-    ctx.strokeStyle = 'rgba(255, 165, 0, 0.7)';
-    ctx.beginPath(); ctx.moveTo(pad.left, yPx(15)); ctx.lineTo(w - pad.right, yPx(15)); ctx.stroke();
-  }
-  if (yMinVal <= 30 && yMaxVal >= 30) {
-    ctx.strokeStyle = 'rgba(220, 50, 50, 0.7)';
-    ctx.beginPath(); ctx.moveTo(pad.left, yPx(30)); ctx.lineTo(w - pad.right, yPx(30)); ctx.stroke();
-  }
-  ctx.setLineDash([]);
-
-  // Y-axis labels + light grid
-  ctx.fillStyle = '#444';
-  ctx.font = '10px sans-serif';
-  ctx.textAlign = 'right';
-  ctx.textBaseline = 'middle';
-  const legStep = (yMaxVal - yMinVal) <= 30 ? 5 : 10;
-  for (let v = yMinVal; v <= yMaxVal; v += legStep) {
-    ctx.fillText(v + '\u00B0', pad.left - 4, yPx(v));
-    if (v > yMinVal && v < yMaxVal) {
-      ctx.strokeStyle = 'rgba(0,0,0,0.08)';
-      ctx.lineWidth = 0.5;
-      ctx.beginPath(); ctx.moveTo(pad.left, yPx(v)); ctx.lineTo(w - pad.right, yPx(v)); ctx.stroke();
-    }
-  }
-
-  // Turn boundaries + release
-  drawTurnMarkers(ctx, xPx, pad, plotH, fStart, fEnd);
-
-  // Title
-  ctx.fillStyle = '#222';
-  ctx.font = 'bold 11px sans-serif';
-  ctx.textAlign = 'left';
-  ctx.textBaseline = 'top';
-  ctx.fillText('Leg Co-rotation', pad.left, 3);
-
-  // Current value
-  if (inWindow) {
-    ctx.fillStyle = '#228B22';
-    ctx.textAlign = 'right';
-    ctx.fillText(legAlignmentData[frame].toFixed(1) + '\u00B0', w - pad.right, 3);
-  }
-
-  // Plot line — DS bold green, SS faded gray
-  for (let i = fStart + 1; i <= fEnd; i++) {
-    const isDS = supportStateData ? (supportStateData[i] === 2) : true;
-    ctx.strokeStyle = isDS ? '#228B22' : 'rgba(180, 180, 180, 0.7)';
-    ctx.lineWidth = isDS ? 2.5 : 1.0;
-    ctx.beginPath();
-    ctx.moveTo(xPx(i - 1), yPx(legAlignmentData[i - 1]));
-    ctx.lineTo(xPx(i), yPx(legAlignmentData[i]));
-    ctx.stroke();
-  }
-
-  // Cursor line — dark for visibility on white
-  if (inWindow) {
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    ctx.moveTo(xPx(frame), pad.top);
-    ctx.lineTo(xPx(frame), pad.top + plotH);
-    ctx.stroke();
-  }
+  if (!metricGraphs || !legAlignmentData) return;
+  const series = [{
+    values: legAlignmentData,
+    label: 'Co-rotation',
+    color: '#228B22',
+    // DS bold green, SS faded gray
+    style: (i) => (!supportStateData || supportStateData[i] === 2
+      ? { color: '#228B22', width: 2.5 }
+      : { color: 'rgba(180, 180, 180, 0.7)', width: 1 }),
+  }];
+  if (compareSeries && compareSeries.legAlignment) series.unshift({ values: compareSeries.legAlignment, compare: true });
+  metricGraphs.legAlignment.draw(frame, series, timelineMin, timelineMax);
 }
 
 // ─── Back Tilt Plane + Graph ─────────────────────────────────────────────────
 
 let backTiltAngles = null;  // Float32Array(T) — pre-computed signed tilt per frame
 
-function computeBackTiltAngle(frame) {
-  const lShoulder = getKp(frame, KP_LEFT_SHOULDER);
-  const rShoulder = getKp(frame, KP_RIGHT_SHOULDER);
-  const lHip = getKp(frame, KP_LEFT_HIP);
-  const rHip = getKp(frame, KP_RIGHT_HIP);
+function computeBackTiltAngle(frame, kps = keypointsData, hammer = hammerData) {
+  const lShoulder = getKp(frame, KP_LEFT_SHOULDER, kps);
+  const rShoulder = getKp(frame, KP_RIGHT_SHOULDER, kps);
+  const lHip = getKp(frame, KP_LEFT_HIP, kps);
+  const rHip = getKp(frame, KP_RIGHT_HIP, kps);
 
   const hipMid = lHip.clone().add(rHip).multiplyScalar(0.5);
   const shoulderMid = lShoulder.clone().add(rShoulder).multiplyScalar(0.5);
@@ -843,12 +1662,11 @@ function computeBackTiltAngle(frame) {
   shoulderDisp.y = 0;
 
   const hOff = frame * 3;
-  const hammerValid = hammerData && !isNaN(hammerData[hOff]) &&
-    !(hammerData[hOff] === 0 && hammerData[hOff + 1] === 0 && hammerData[hOff + 2] === 0);
+  const hammerValid = hammer && isHammerSampleValid(hammer, frame);
 
   let sign = 1;
   if (hammerValid) {
-    const [hx, hy, hz] = camToThree(hammerData[hOff], hammerData[hOff + 1], hammerData[hOff + 2]);
+    const [hx, hy, hz] = camToThree(hammer[hOff], hammer[hOff + 1], hammer[hOff + 2]);
     const hammerDir = new THREE.Vector3(hx - hipMid.x, 0, hz - hipMid.z);
     if (hammerDir.lengthSq() > 0.001) {
       hammerDir.normalize();
@@ -948,107 +1766,18 @@ function drawTurnMarkers(ctx, xPx, pad, plotH, fStart, fEnd) {
 }
 
 function drawBackTiltGraph(frame) {
-  const canvas = document.getElementById('backtilt-graph');
-  if (!canvas || !backTiltAngles) return;
-  const ctx = canvas.getContext('2d');
-  const w = canvas.width, h = canvas.height;
-
-  // White background
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, w, h);
-
-  const fStart = timelineMin;
-  const fEnd = timelineMax;
-
-  const pad = { left: 40, right: 10, top: 22, bottom: 22 };
-  const plotW = w - pad.left - pad.right;
-  const plotH = h - pad.top - pad.bottom;
-
-  let dataMin = Infinity, dataMax = -Infinity;
-  for (let i = fStart; i <= fEnd; i++) {
-    const v = backTiltAngles[i];
-    if (v < dataMin) dataMin = v;
-    if (v > dataMax) dataMax = v;
-  }
-  const btBuf = Math.max((dataMax - dataMin) * 0.05, 1);
-  const yMin = Math.floor((dataMin - btBuf) / 5) * 5;
-  const yMax = Math.ceil((dataMax + btBuf) / 5) * 5;
-  const fRange = Math.max(1, fEnd - fStart);
-
-  function xPx(f) { return pad.left + ((f - fStart) / fRange) * plotW; }
-  function yPx(v) { return pad.top + (1 - (v - yMin) / (yMax - yMin)) * plotH; }
-
-  const curTilt = backTiltAngles[frame];
-  const inWindow = frame >= fStart && frame <= fEnd;
-
-  // SS/DS shading
-  drawSSDSShading(ctx, xPx, pad, plotH, fStart, fEnd);
-
-  // Zero line
-  if (yMin <= 0 && yMax >= 0) {
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([4, 4]);
-    ctx.beginPath();
-    ctx.moveTo(pad.left, yPx(0));
-    ctx.lineTo(w - pad.right, yPx(0));
-    ctx.stroke();
-    ctx.setLineDash([]);
-  }
-
-  // Y-axis labels + light grid
-  ctx.fillStyle = '#444';
-  ctx.font = '10px sans-serif';
-  ctx.textAlign = 'right';
-  ctx.textBaseline = 'middle';
-  const btStep = (yMax - yMin) <= 30 ? 5 : 10;
-  for (let v = yMin; v <= yMax; v += btStep) {
-    ctx.fillText(v + '\u00B0', pad.left - 4, yPx(v));
-    if (v !== 0 && v > yMin && v < yMax) {
-      ctx.strokeStyle = 'rgba(0,0,0,0.08)';
-      ctx.lineWidth = 0.5;
-      ctx.beginPath(); ctx.moveTo(pad.left, yPx(v)); ctx.lineTo(w - pad.right, yPx(v)); ctx.stroke();
-    }
-  }
-
-  // Turn boundaries + release
-  drawTurnMarkers(ctx, xPx, pad, plotH, fStart, fEnd);
-
-  // Title
-  ctx.fillStyle = '#222';
-  ctx.font = 'bold 11px sans-serif';
-  ctx.textAlign = 'left';
-  ctx.textBaseline = 'top';
-  ctx.fillText('Back Tilt', pad.left, 3);
-
-  // Current value
-  if (inWindow) {
-    const valColor = curTilt >= 0 ? '#228B22' : '#cc3333';
-    ctx.fillStyle = valColor;
-    ctx.textAlign = 'right';
-    ctx.fillText(curTilt.toFixed(1) + '\u00B0', w - pad.right, 3);
-  }
-
-  // Plot line — green for positive (back), red for negative (forward)
-  ctx.lineWidth = 2.0;
-  for (let i = fStart + 1; i <= fEnd; i++) {
-    const v0 = backTiltAngles[i - 1], v1 = backTiltAngles[i];
-    ctx.strokeStyle = ((v0 + v1) / 2) >= 0 ? '#228B22' : '#cc3333';
-    ctx.beginPath();
-    ctx.moveTo(xPx(i - 1), yPx(v0));
-    ctx.lineTo(xPx(i), yPx(v1));
-    ctx.stroke();
-  }
-
-  // Cursor line
-  if (inWindow) {
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    ctx.moveTo(xPx(frame), pad.top);
-    ctx.lineTo(xPx(frame), pad.top + plotH);
-    ctx.stroke();
-  }
+  if (!metricGraphs || !backTiltAngles) return;
+  const tiltColor = (v) => (v >= 0 ? '#228B22' : '#cc3333');
+  const series = [{
+    values: backTiltAngles,
+    label: 'Back tilt',
+    color: '#228B22',
+    // Green for positive (back), red for negative (forward)
+    style: (i) => ({ color: tiltColor((backTiltAngles[i - 1] + backTiltAngles[i]) / 2), width: 2 }),
+    valueColor: tiltColor,
+  }];
+  if (compareSeries && compareSeries.backTilt) series.unshift({ values: compareSeries.backTilt, compare: true });
+  metricGraphs.backTilt.draw(frame, series, timelineMin, timelineMax);
 }
 
 function createBackPlane() {
@@ -1119,11 +1848,11 @@ function updateBackPlane(frame) {
 
 // ─── Hip-Shoulder Separation ─────────────────────────────────────────────────
 
-function computeSeparationAngle(frame) {
-  const lHip = getKp(frame, KP_LEFT_HIP);
-  const rHip = getKp(frame, KP_RIGHT_HIP);
-  const lShoulder = getKp(frame, KP_LEFT_SHOULDER);
-  const rShoulder = getKp(frame, KP_RIGHT_SHOULDER);
+function computeSeparationAngle(frame, kps = keypointsData) {
+  const lHip = getKp(frame, KP_LEFT_HIP, kps);
+  const rHip = getKp(frame, KP_RIGHT_HIP, kps);
+  const lShoulder = getKp(frame, KP_LEFT_SHOULDER, kps);
+  const rShoulder = getKp(frame, KP_RIGHT_SHOULDER, kps);
 
   // Project hip and shoulder vectors onto XZ plane
   const hipVecX = rHip.x - lHip.x;
@@ -1229,133 +1958,326 @@ function updateTorsoColors(frame) {
 }
 
 function drawSeparationGraph(frame) {
-  const canvas = document.getElementById('separation-graph');
-  if (!canvas || !separationAngles) return;
-  const ctx = canvas.getContext('2d');
-  const w = canvas.width, h = canvas.height;
+  if (!metricGraphs || !separationAngles) return;
+  // Purple, matching analytics style
+  const series = [{ values: separationAngles, label: 'Separation', color: '#6A5ACD' }];
+  if (compareSeries && compareSeries.separation) series.unshift({ values: compareSeries.separation, compare: true });
+  metricGraphs.separation.draw(frame, series, timelineMin, timelineMax);
+}
+
+// ─── Joint Angles ────────────────────────────────────────────────────────────
 
-  // White background
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, w, h);
+let jointAngles = null;          // see joint-angles.js computeJointAngles
+let thoraxSeries = null;         // {zeroYaw, values} — thorax rotation for the current 0° label
+const shownAngleSeries = new Set(['kneeL', 'kneeR']);
 
-  const fStart = timelineMin;
-  const fEnd = timelineMax;
+// All keypoints in Three.js space, for the pure analysis modules
+function keypointsThreeSpace() {
+  const kps = new Float32Array(keypointsData.length);
+  for (let i = 0; i < kps.length; i += 3) {
+    const [x, y, z] = camToThree(keypointsData[i], keypointsData[i + 1], keypointsData[i + 2]);
+    kps[i] = x; kps[i + 1] = y; kps[i + 2] = z;
+  }
+  return kps;
+}
 
-  const pad = { left: 40, right: 10, top: 22, bottom: 22 };
-  const plotW = w - pad.left - pad.right;
-  const plotH = h - pad.top - pad.bottom;
+function precomputeJointAngles() {
+  jointAngles = computeJointAngles(keypointsThreeSpace(), metadata.frame_count);
+}
 
-  let dataMin = Infinity, dataMax = -Infinity;
-  for (let i = fStart; i <= fEnd; i++) {
-    const v = separationAngles[i];
-    if (v < dataMin) dataMin = v;
-    if (v > dataMax) dataMax = v;
+// Float32Array(T) for a JOINT_ANGLE_SERIES key
+function jointAngleValues(key) {
+  if (key !== 'thorax') return jointAngles[key];
+  const ref = getCircleAzimuthRef();
+  const zeroYaw = ref ? ref.zeroYaw : 0;
+  if (!thoraxSeries || thoraxSeries.zeroYaw !== zeroYaw) {
+    thoraxSeries = { zeroYaw, values: thoraxRotation(jointAngles.thoraxHeading, zeroYaw) };
   }
-  const sepBuf = Math.max((dataMax - dataMin) * 0.05, 1);
-  const yMin = Math.floor((dataMin - sepBuf) / 5) * 5;
-  const yMax = Math.ceil((dataMax + sepBuf) / 5) * 5;
-  const fRange = Math.max(1, fEnd - fStart);
+  return thoraxSeries.values;
+}
 
-  function xPx(f) { return pad.left + ((f - fStart) / fRange) * plotW; }
-  function yPx(v) { return pad.top + (1 - (v - yMin) / (yMax - yMin)) * plotH; }
+function drawJointAngleGraph(frame) {
+  if (!metricGraphs || !jointAngles) return;
+  const series = JOINT_ANGLE_SERIES
+    .filter(s => shownAngleSeries.has(s.key))
+    .map(s => ({ values: jointAngleValues(s.key), label: s.label, color: s.color, width: 1.75 }));
+  metricGraphs.angles.draw(frame, series, timelineMin, timelineMax);
+}
 
-  const curAngle = separationAngles[frame];
-  const inWindow = frame >= fStart && frame <= fEnd;
+function initAnglesPanel() {
+  const list = document.getElementById('angles-series');
+  if (!list) return;
+  for (const s of JOINT_ANGLE_SERIES) {
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" value="${s.key}"> <span style="color:${s.color}">${s.label}</span>`;
+    const box = label.querySelector('input');
+    box.checked = shownAngleSeries.has(s.key);
+    box.addEventListener('change', () => {
+      if (box.checked) shownAngleSeries.add(s.key);
+      else shownAngleSeries.delete(s.key);
+      drawJointAngleGraph(currentFrame);
+    });
+    list.appendChild(label);
+  }
+}
 
-  // SS/DS shading
-  drawSSDSShading(ctx, xPx, pad, plotH, fStart, fEnd);
+// ─── Center of Mass ──────────────────────────────────────────────────────────
 
-  // Zero line
-  if (yMin <= 0 && yMax >= 0) {
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([4, 4]);
-    ctx.beginPath();
-    ctx.moveTo(pad.left, yPx(0));
-    ctx.lineTo(w - pad.right, yPx(0));
-    ctx.stroke();
-    ctx.setLineDash([]);
-  }
-
-  // Y-axis labels + light grid
-  ctx.fillStyle = '#444';
-  ctx.font = '10px sans-serif';
-  ctx.textAlign = 'right';
-  ctx.textBaseline = 'middle';
-  const sepStep = (yMax - yMin) <= 30 ? 5 : 10;
-  for (let v = yMin; v <= yMax; v += sepStep) {
-    ctx.fillText(v + '\u00B0', pad.left - 4, yPx(v));
-    if (v !== 0 && v > yMin && v < yMax) {
-      ctx.strokeStyle = 'rgba(0,0,0,0.08)';
-      ctx.lineWidth = 0.5;
-      ctx.beginPath(); ctx.moveTo(pad.left, yPx(v)); ctx.lineTo(w - pad.right, yPx(v)); ctx.stroke();
-    }
+// Ahead of the circle center by more than this fraction of the radius,
+// toward the release direction, counts as drifting to the front
+const COM_FRONT_DRIFT_FRACTION = 0.5;
+const COM_PATH_COLOR = 0xf1c40f, COM_DRIFT_COLOR = 0xff4d4d;
+
+let comData = null;        // Float32Array(T * 3) — see center-of-mass.js
+let comOffsets = null;     // {distance, front} in cm, or null without a detected circle
+let comDriftLimit = null;  // cm
+let comGroup = null;       // ground path + marker, lifted onto groundY
+let comMarker = null;      // ground dot under the current COM
+let comSphere = null;      // the COM itself
+
+// Per-frame circle center in Three.js space → Float32Array(T * 3), or null
+function circleCenterSeries() {
+  const c = metadata.circle;
+  if (!c || !c.detected) return null;
+  const T = metadata.frame_count;
+  const centers = new Float32Array(T * 3);
+  for (let f = 0; f < T; f++) {
+    let p;
+    if (isWorldSpace && c.center) p = c.center;
+    else if (c.per_frame && circlePositionsData) p = circlePositionsData.subarray(f * 3, f * 3 + 3);
+    else if (c.center_cam) p = c.center_cam;
+    else return null;
+    centers.set(camToThree(p[0], p[1], p[2]), f * 3);
   }
+  return centers;
+}
 
-  // Turn boundaries + release
-  drawTurnMarkers(ctx, xPx, pad, plotH, fStart, fEnd);
+// Horizontal hammer direction at release → [x, z], or null
+function releaseDirection() {
+  if (!releaseEstimate || !hammerKinematics) return null;
+  const f = releaseEstimate.frame;
+  const vx = hammerKinematics.velocity[f * 3], vz = hammerKinematics.velocity[f * 3 + 2];
+  const n = Math.hypot(vx, vz);
+  return n > 0 ? [vx / n, vz / n] : null;
+}
+
+function precomputeCenterOfMass() {
+  const T = metadata.frame_count;
+  comData = computeCenterOfMass(keypointsThreeSpace(), T);
+  const centers = circleCenterSeries();
+  if (!centers) return;
+  const { distance, front } = circleOffsets(comData, centers, T, releaseDirection());
+  comOffsets = { distance: distance.map(v => v * 100), front: front.map(v => v * 100) };
+  comDriftLimit = metadata.circle.radius * COM_FRONT_DRIFT_FRACTION * 100;
+}
 
-  // Title
-  ctx.fillStyle = '#222';
-  ctx.font = 'bold 11px sans-serif';
-  ctx.textAlign = 'left';
-  ctx.textBaseline = 'top';
-  ctx.fillText('Separation', pad.left, 3);
+function isComDrifting(f) {
+  return comOffsets !== null && comOffsets.front[f] > comDriftLimit;
+}
 
-  // Current value
-  if (inWindow) {
-    ctx.fillStyle = '#6A5ACD';
-    ctx.textAlign = 'right';
-    ctx.fillText(curAngle.toFixed(1) + '\u00B0', w - pad.right, 3);
+function createCenterOfMass() {
+  const T = metadata.frame_count;
+  comGroup = new THREE.Group();
+  comGroup.visible = false;
+
+  // Ground path — one segment per consecutive valid frame pair, red while drifting
+  const positions = [], colors = [];
+  const normal = new THREE.Color(COM_PATH_COLOR), drift = new THREE.Color(COM_DRIFT_COLOR);
+  for (let f = 1; f < T; f++) {
+    const a = (f - 1) * 3, b = f * 3;
+    if (isNaN(comData[a] + comData[a + 2] + comData[b] + comData[b + 2])) continue;
+    positions.push(comData[a], 0, comData[a + 2], comData[b], 0, comData[b + 2]);
+    const c = isComDrifting(f) ? drift : normal;
+    colors.push(c.r, c.g, c.b, c.r, c.g, c.b);
   }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  comGroup.add(new THREE.LineSegments(geo, new THREE.LineBasicMaterial({ vertexColors: true })));
+
+  comMarker = new THREE.Mesh(
+    new THREE.CircleGeometry(0.05, 24).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: COM_PATH_COLOR, transparent: true, opacity: 0.8 }),
+  );
+  comGroup.add(comMarker);
+  scene.add(comGroup);
+
+  comSphere = new THREE.Mesh(
+    new THREE.SphereGeometry(0.035, 16, 12),
+    new THREE.MeshBasicMaterial({ color: COM_PATH_COLOR, depthTest: false }),
+  );
+  comSphere.renderOrder = 10;  // visible inside the body mesh
+  comSphere.visible = false;
+  scene.add(comSphere);
+}
 
-  // Plot line — purple (matching analytics style)
-  ctx.strokeStyle = '#6A5ACD';
-  ctx.lineWidth = 2.0;
-  for (let i = fStart + 1; i <= fEnd; i++) {
-    ctx.beginPath();
-    ctx.moveTo(xPx(i - 1), yPx(separationAngles[i - 1]));
-    ctx.lineTo(xPx(i), yPx(separationAngles[i]));
-    ctx.stroke();
+// com: [x, y, z] to show instead of frame's own (blended during smooth playback)
+function updateCenterOfMassFrame(frame, com = comData.subarray(frame * 3, frame * 3 + 3)) {
+  if (!comGroup || !comGroup.visible) return;
+  comGroup.position.y = groundY + 0.01;
+  const valid = !isNaN(com[0]);
+  comMarker.visible = comSphere.visible = valid;
+  if (!valid) return;
+  const color = isComDrifting(frame) ? COM_DRIFT_COLOR : COM_PATH_COLOR;
+  comMarker.position.set(com[0], 0, com[2]);
+  comMarker.material.color.setHex(color);
+  comSphere.position.set(com[0], com[1], com[2]);
+  comSphere.material.color.setHex(color);
+}
+
+function setCenterOfMassVisible(visible) {
+  comGroup.visible = visible;
+  comSphere.visible = visible;
+  const container = document.getElementById('com-container');
+  if (container) container.style.display = visible && comOffsets ? 'block' : 'none';
+  if (visible) {
+    updateCenterOfMassFrame(currentFrame);
+    drawCenterOfMassGraph(currentFrame);
   }
+}
 
-  // Cursor line
-  if (inWindow) {
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    ctx.moveTo(xPx(frame), pad.top);
-    ctx.lineTo(xPx(frame), pad.top + plotH);
-    ctx.stroke();
+function drawCenterOfMassGraph(frame) {
+  if (!metricGraphs || !comOffsets) return;
+  const series = [{ values: comOffsets.distance, label: 'From center', color: '#b8860b' }];
+  if (releaseEstimate) {
+    series.push({
+      values: comOffsets.front,
+      label: 'Toward front',
+      color: '#2e6fd8',
+      width: 1.5,
+      style: (i) => (isComDrifting(i) ? { color: '#cc3333', width: 2.5 } : { color: '#2e6fd8', width: 1.5 }),
+    });
   }
+  metricGraphs.com.draw(frame, series, timelineMin, timelineMax);
 }
 
-// ─── Throwing Circle ──────────────────────────────────────────────────────────
+// ─── Foot Contacts ───────────────────────────────────────────────────────────
 
-function createCircle() {
-  circleGroup = new THREE.Group();
-  circleGroup.visible = false;  // hidden until data loaded
+const FOOTPRINT_WIDTH = 0.10;        // meters
+const FOOTPRINT_PRE_TURN_COLOR = 0x888888;
 
-  if (!metadata.circle || !metadata.circle.detected) return;
+let footContacts = [];               // [{side, start, end, turn}] — see foot-contacts.js
+let footprintGroup = null;
+let footprintMeshes = [];            // parallel to footContacts
+let footLiveRings = null;            // {left, right} — under each grounded foot
 
-  const c = metadata.circle;
-  const radius = c.radius;
-  const segments = 64;
+function detectFootContacts(heights, thresholds) {
+  return detectContacts(heights, thresholds, metadata.turn_boundaries || []);
+}
 
-  // Circle geometry in XZ plane (Y-up in Three.js = ground plane)
-  const points = [];
-  for (let i = 0; i <= segments; i++) {
-    const theta = (i / segments) * Math.PI * 2;
-    points.push(new THREE.Vector3(
-      Math.cos(theta) * radius,
-      0,
-      Math.sin(theta) * radius,
-    ));
+// Needs groundY — runs after positionGround
+function createFootContacts() {
+  const ySign = isWorldSpace ? 1 : -1;
+  const heights = keypointFootHeights(keypointsData, metadata.frame_count, groundY, ySign);
+  footContacts = detectFootContacts(heights, KEYPOINT_CONTACT);
+
+  footprintGroup = new THREE.Group();
+  footprintGroup.visible = false;
+  footprintGroup.position.y = groundY + 0.006;
+  footLiveRings = {};
+  for (const side of FOOT_SIDES) {
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.1, 0.13, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.85, depthWrite: false }),
+    );
+    ring.visible = false;
+    footprintGroup.add(ring);
+    footLiveRings[side] = ring;
   }
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({
-    color: 0xffffff,
-    linewidth: 2,
+  scene.add(footprintGroup);
+  buildFootprints();
+
+  refineFootContactsWithMesh();
+}
+
+// Heel-to-toe midpoint and direction of a foot, on the ground plane
+function footGroundPose(frame, side) {
+  const { heel, toe } = footprintPose(keypointsData, frame, side);
+  const [hx, , hz] = camToThree(heel[0], heel[1], heel[2]);
+  const [tx, , tz] = camToThree(toe[0], toe[1], toe[2]);
+  return { x: (hx + tx) / 2, z: (hz + tz) / 2, yaw: Math.atan2(tx - hx, tz - hz), length: Math.hypot(tx - hx, tz - hz) };
+}
+
+// One ellipse per contact at its middle frame, colored by turn
+function buildFootprints() {
+  for (const m of footprintMeshes) {
+    footprintGroup.remove(m);
+    m.material.dispose();
+  }
+  const geo = footprintMeshes.length ? footprintMeshes[0].geometry : new THREE.CircleGeometry(1, 24).rotateX(-Math.PI / 2);
+  footprintMeshes = footContacts.map((c) => {
+    const pose = footGroundPose(Math.floor((c.start + c.end) / 2), c.side);
+    const color = c.turn < 0 ? FOOTPRINT_PRE_TURN_COLOR : TURN_COLORS[c.turn % TURN_COLORS.length];
+    const mesh = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide,
+    }));
+    mesh.position.set(pose.x, 0, pose.z);
+    mesh.rotation.y = pose.yaw;
+    mesh.scale.set(FOOTPRINT_WIDTH / 2, 1, Math.max(0.2, pose.length + 0.08) / 2);
+    footprintGroup.add(mesh);
+    return mesh;
+  });
+}
+
+// Re-detect from the lowest foot vertices once every vertex frame is in;
+// if streaming stopped early the keypoint contacts stay
+async function refineFootContactsWithMesh() {
+  await vertexStreamDone;
+  if (vertexFramesRemaining > 0) return;
+  const T = metadata.frame_count;
+  const V = metadata.vertex_count;
+  const footVertices = assignFootVertices(verticesData, V, keypointsData, 0);
+  if (!footVertices.left.length || !footVertices.right.length) return;
+  const heights = meshFootHeights(verticesData, V, T, footVertices, groundY, isWorldSpace ? 1 : -1);
+  footContacts = detectFootContacts(heights, MESH_CONTACT);
+  buildFootprints();
+  updateFootContactsFrame(currentFrame);
+}
+
+// Current footprints opaque, plus a ring under each grounded foot
+function updateFootContactsFrame(frame) {
+  if (!footprintGroup || !footprintGroup.visible) return;
+  const grounded = new Set();
+  footContacts.forEach((c, i) => {
+    const active = frame >= c.start && frame <= c.end;
+    footprintMeshes[i].material.opacity = active ? 0.85 : 0.3;
+    if (active) grounded.add(c.side);
+  });
+  for (const side of FOOT_SIDES) {
+    const ring = footLiveRings[side];
+    ring.visible = grounded.has(side);
+    if (!ring.visible) continue;
+    const pose = footGroundPose(frame, side);
+    ring.position.set(pose.x, 0.002, pose.z);
+  }
+}
+
+// ─── Throwing Circle ──────────────────────────────────────────────────────────
+
+function createCircle() {
+  circleGroup = new THREE.Group();
+  circleGroup.visible = false;  // hidden until data loaded
+
+  if (!metadata.circle || !metadata.circle.detected) return;
+
+  const c = metadata.circle;
+  const radius = c.radius;
+  const segments = 64;
+
+  // Circle geometry in XZ plane (Y-up in Three.js = ground plane)
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const theta = (i / segments) * Math.PI * 2;
+    points.push(new THREE.Vector3(
+      Math.cos(theta) * radius,
+      0,
+      Math.sin(theta) * radius,
+    ));
+  }
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const material = new THREE.LineBasicMaterial({
+    color: 0xffffff,
+    linewidth: 2,
     transparent: true,
     opacity: 0.7,
   });
@@ -1423,6 +2345,7 @@ function createCircleLabels() {
   const labelOffset = radius + gap + labelLen / 2;
 
   const camYAngle = Math.atan2(towardCam.x, towardCam.z);
+  circleZeroYaw = camYAngle;
 
   // Separate group for labels — rotatable independently of the ring
   circleLabelsGroup = new THREE.Group();
@@ -1525,6 +2448,7 @@ function setupLabelDrag() {
       circleLabelsGroup.getWorldPosition(center);
       const currentAngle = Math.atan2(gp.x - center.x, gp.z - center.z);
       circleLabelsGroup.rotation.y = labelDragStartRotation + (currentAngle - labelDragStartAngle);
+      renderOrbitTable();
       return;
     }
 
@@ -1543,7 +2467,7 @@ function setupLabelDrag() {
   const endDrag = () => {
     if (!isDraggingLabel) return;
     isDraggingLabel = false;
-    controls.enabled = true;
+    controls.enabled = !jogMode;
     domEl.style.cursor = '';
   };
 
@@ -1614,9 +2538,10 @@ function updatePolesFrame(frame) {
   const nPoles = metadata.poles.count;
   const T = metadata.frame_count;
 
-  // Approximate body depth from first vertex Z
+  // Approximate body depth from first vertex Z (nearest loaded frame while
+  // vertices are still streaming, as the mesh shows)
   const V = metadata.vertex_count;
-  const vOff = frame * V * 3;
+  const vOff = displayableVertexFrame(frame) * V * 3;
   let avgZ = 0;
   for (let i = 0; i < Math.min(V, 100); i++) {
     avgZ += verticesData[vOff + i * 3 + 2];
@@ -1656,6 +2581,305 @@ function updatePolesFrame(frame) {
   }
 }
 
+// ─── Comparison Throw ────────────────────────────────────────────────────────
+
+let compareThrow = null;        // {dir, metadata, vertices, faces, hammer, separation, backTilt, legAlignment}
+let compareGroup = null;        // pivot: places the comparison circle onto ours
+let compareMesh = null;         // ghosted translucent body
+let compareHammer = null;
+let compareFrameMap = null;     // Float32Array(T) — fractional comparison frame per primary frame
+let compareSeries = null;       // {separation, backTilt, legAlignment} resampled onto primary frames
+let compareAlignEvent = 'T0';
+let compareWarp = true;
+let compareLayout = 'overlay';  // 'overlay' | 'side'
+
+// The comparison folder resolves like our own files — against the data base
+// (?base= / metadata.base_url) or among the opened local files — so "../Other"
+// names a sibling of this throw wherever it was loaded from. Its binaries
+// follow its own base_url if it has one.
+async function loadCompareThrow(dir) {
+  const metaUrl = dataUrl(throwFileUrl(dir, 'metadata.json'));
+  if (metaUrl.startsWith(MISSING_LOCAL_PREFIX)) throw new Error(`no metadata.json in ${dir} among the local files`);
+  const resp = await fetch(metaUrl);
+  if (!resp.ok) throw new Error(`no metadata.json in ${dir}`);
+  const meta = await resp.json();
+  const { problems } = validateMetadata(meta);
+  if (problems.length) throw new Error(`invalid metadata.json: ${problems.join('; ')}`);
+  if ((meta.coord_space === 'world') !== isWorldSpace) {
+    throw new Error('comparison throw uses a different coord_space');
+  }
+
+  const base = meta.base_url && !localFileUrls ? withSlash(new URL(meta.base_url, metaUrl).href) : null;
+  const url = (name) => (base ? new URL(name, base).href : dataUrl(throwFileUrl(dir, name)));
+  const [vertBytes, faces, kps, hammer] = await Promise.all([
+    loadBinary(url(filePath(meta.files.vertices)), 'bytes', false),
+    loadBinary(url(meta.files.faces), 'int32', false),
+    loadBinary(url(meta.files.keypoints), 'float32', false),
+    loadBinary(url(meta.files.hammer), 'float32', false),
+  ]);
+  const verts = decodeVertices(vertBytes, meta.files.vertices, meta.frame_count, meta.vertex_count);
+  const lengthProblems = validateDataLengths(meta, { vertices: verts, faces, keypoints: kps, hammer });
+  if (lengthProblems.length) throw new Error(lengthProblems.join('; '));
+
+  // Metrics — pipeline arrays when shipped, else live from keypoints (as for our throw)
+  const T = meta.frame_count;
+  let separation, backTilt, legAlignment = null;
+  if (meta.files.separation) {
+    separation = await loadBinary(url(meta.files.separation), 'float32', false);
+  } else {
+    separation = new Float32Array(T);
+    for (let i = 0; i < T; i++) separation[i] = computeSeparationAngle(i, kps);
+  }
+  if (meta.files.back_lean) {
+    backTilt = await loadBinary(url(meta.files.back_lean), 'float32', false);
+  } else {
+    backTilt = new Float32Array(T);
+    for (let i = 0; i < T; i++) backTilt[i] = computeBackTiltAngle(i, kps, hammer);
+  }
+  if (meta.files.leg_alignment) {
+    legAlignment = await loadBinary(url(meta.files.leg_alignment), 'float32', false);
+  }
+
+  return { dir, metadata: meta, vertices: verts, faces, hammer, separation, backTilt, legAlignment };
+}
+
+// Circle center + yaw of the "toward camera" (0°) direction, world space only
+function getCircleFrame(meta) {
+  if (!meta.circle || !meta.circle.detected || !meta.circle.center) return null;
+  const cc = meta.circle.center;
+  const cp = meta.camera_position;
+  return {
+    center: new THREE.Vector3(cc[0], cc[1], cc[2]),
+    yaw: Math.atan2(cp[0] - cc[0], cp[2] - cc[2]),
+    radius: meta.circle.radius,
+  };
+}
+
+function createCompareMesh() {
+  removeCompareMesh();
+  const meta = compareThrow.metadata;
+  const V = meta.vertex_count;
+
+  const geometry = new THREE.BufferGeometry();
+  const posAttr = new THREE.BufferAttribute(new Float32Array(V * 3), 3);
+  posAttr.setUsage(THREE.StreamDrawUsage);
+  geometry.setAttribute('position', posAttr);
+  geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(compareThrow.faces), 1));
+
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xd8d8d8,
+    roughness: 0.6,
+    metalness: 0.05,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+  compareMesh = new THREE.Mesh(geometry, material);
+  compareMesh.frustumCulled = false;  // positions stream in per frame
+
+  compareHammer = new THREE.Mesh(
+    new THREE.SphereGeometry(0.08, 16, 16),
+    new THREE.MeshStandardMaterial({ color: 0xcccccc, transparent: true, opacity: 0.5 }),
+  );
+
+  // Inner group moves the comparison circle to the origin, outer group
+  // rotates it onto our 0° direction and places it on our circle
+  const inner = new THREE.Group();
+  inner.add(compareMesh);
+  inner.add(compareHammer);
+  compareGroup = new THREE.Group();
+  compareGroup.add(inner);
+  scene.add(compareGroup);
+  applyCompareLayout();
+}
+
+function removeCompareMesh() {
+  if (!compareGroup) return;
+  scene.remove(compareGroup);
+  compareMesh.geometry.dispose();
+  compareMesh.material.dispose();
+  compareHammer.geometry.dispose();
+  compareHammer.material.dispose();
+  compareGroup = null;
+  compareMesh = null;
+  compareHammer = null;
+}
+
+function applyCompareLayout() {
+  if (!compareThrow || !compareGroup) return;
+  const inner = compareGroup.children[0];
+  inner.position.set(0, 0, 0);
+  compareGroup.position.set(0, 0, 0);
+  compareGroup.rotation.set(0, 0, 0);
+
+  const ours = isWorldSpace ? getCircleFrame(metadata) : null;
+  const theirs = isWorldSpace ? getCircleFrame(compareThrow.metadata) : null;
+  let sideDir = new THREE.Vector3(1, 0, 0);
+  let sideDist = 2.5;
+
+  if (ours && theirs) {
+    inner.position.copy(theirs.center).negate();
+    compareGroup.position.copy(ours.center);
+    compareGroup.rotation.y = ours.yaw - theirs.yaw;
+    // Our 90° direction, one and a half circles over
+    sideDir = new THREE.Vector3(Math.cos(ours.yaw), 0, -Math.sin(ours.yaw));
+    sideDist = ours.radius * 2.5;
+  }
+
+  if (compareLayout === 'side') compareGroup.position.addScaledVector(sideDir, sideDist);
+}
+
+function rebuildCompareAlignment() {
+  if (!compareThrow) return;
+  compareFrameMap = buildFrameMap(metadata, compareThrow.metadata, compareAlignEvent, compareWarp);
+  compareSeries = {
+    separation: resampleSeries(compareThrow.separation, compareFrameMap),
+    backTilt: resampleSeries(compareThrow.backTilt, compareFrameMap),
+    legAlignment: resampleSeries(compareThrow.legAlignment, compareFrameMap),
+  };
+  updateCompareFrame(currentFrame);
+  redrawVisibleGraphs();
+}
+
+function updateCompareFrame(frame) {
+  if (!compareThrow || !compareGroup || !compareFrameMap) return;
+  const c = compareFrameMap[frame];
+  if (isNaN(c)) {
+    compareMesh.visible = false;
+    compareHammer.visible = false;
+    return;
+  }
+  const cf = Math.round(c);
+  const V = compareThrow.metadata.vertex_count;
+  const src = compareThrow.vertices;
+  const offset = cf * V * 3;
+  const posAttr = compareMesh.geometry.getAttribute('position');
+  const arr = posAttr.array;
+
+  if (isWorldSpace) {
+    arr.set(src.subarray(offset, offset + V * 3));
+  } else {
+    for (let i = 0; i < V; i++) {
+      const si = offset + i * 3;
+      arr[i * 3]     =  src[si];
+      arr[i * 3 + 1] = -src[si + 1];
+      arr[i * 3 + 2] = -src[si + 2];
+    }
+  }
+  posAttr.needsUpdate = true;
+  compareMesh.geometry.computeVertexNormals();
+  compareMesh.visible = true;
+
+  const h = compareThrow.hammer;
+  const off = cf * 3;
+  const isInvalid = !isHammerSampleValid(h, cf);
+  compareHammer.visible = !isInvalid;
+  if (!isInvalid) compareHammer.position.set(...camToThree(h[off], h[off + 1], h[off + 2]));
+}
+
+function clearCompare() {
+  removeCompareMesh();
+  compareThrow = null;
+  compareFrameMap = null;
+  compareSeries = null;
+  redrawVisibleGraphs();
+  updateComparePanel();
+}
+
+function updateComparePanel() {
+  const status = document.getElementById('compare-status');
+  const alignSel = document.getElementById('compare-align');
+  if (!status || !alignSel) return;
+
+  alignSel.innerHTML = '';
+  if (!compareThrow) {
+    status.textContent = 'No comparison loaded';
+    alignSel.disabled = true;
+    return;
+  }
+
+  const common = getCommonEvents(metadata, compareThrow.metadata);
+  for (const e of common) {
+    const opt = document.createElement('option');
+    opt.value = e.key;
+    opt.textContent = e.label;
+    alignSel.appendChild(opt);
+  }
+  if (!common.some(e => e.key === compareAlignEvent) && common.length) compareAlignEvent = common[0].key;
+  alignSel.value = compareAlignEvent;
+  alignSel.disabled = common.length === 0;
+
+  const name = compareThrow.metadata.display_name || compareThrow.metadata.throw || compareThrow.dir;
+  status.textContent = common.length
+    ? `Ghost: ${name} (${compareThrow.metadata.frame_count} frames)`
+    : `Ghost: ${name} — no shared events, aligned on frame 0`;
+}
+
+async function openCompare(dir) {
+  const status = document.getElementById('compare-status');
+  if (status) status.textContent = `Loading ${dir}...`;
+  let loaded;
+  try {
+    loaded = await loadCompareThrow(dir);
+  } catch (err) {
+    // Any earlier comparison stays loaded and aligned
+    if (status) {
+      status.textContent = `Failed to load comparison: ${err.message}` +
+        (compareThrow ? ' — keeping the previous one' : '');
+    }
+    return;
+  }
+  compareThrow = loaded;
+  createCompareMesh();
+  updateComparePanel();
+  rebuildCompareAlignment();
+}
+
+function initComparePanel() {
+  const panel = document.getElementById('compare-panel');
+  if (!panel) return;
+  const dirInput = document.getElementById('compare-dir');
+
+  document.getElementById('compare-load-btn').addEventListener('click', () => {
+    const dir = dirInput.value.trim();
+    if (dir) openCompare(dir);
+  });
+  dirInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();  // keep viewer shortcuts out of the text field
+    if (e.key === 'Enter') document.getElementById('compare-load-btn').click();
+  });
+
+  document.getElementById('compare-align').addEventListener('change', (e) => {
+    compareAlignEvent = e.target.value;
+    rebuildCompareAlignment();
+  });
+  document.getElementById('compare-warp').addEventListener('change', (e) => {
+    compareWarp = e.target.checked;
+    rebuildCompareAlignment();
+  });
+  panel.querySelectorAll('.layout-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      panel.querySelectorAll('.layout-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      compareLayout = btn.dataset.layout;
+      applyCompareLayout();
+    });
+  });
+  document.getElementById('compare-clear-btn').addEventListener('click', clearCompare);
+
+  updateComparePanel();
+
+  // ?compare=<dir>&align=<event> opens a comparison straight away
+  const params = new URLSearchParams(window.location.search);
+  const dir = params.get('compare');
+  if (dir) {
+    if (params.get('align')) compareAlignEvent = params.get('align');
+    dirInput.value = dir;
+    openCompare(dir);
+  }
+}
+
 // ─── Camera Framing ──────────────────────────────────────────────────────────
 
 let initialCameraPos = null;
@@ -1713,10 +2937,7 @@ function computeLastHammerFrame() {
   lastHammerFrame = T - 1;
   if (hammerData) {
     for (let f = T - 1; f >= 0; f--) {
-      const off = f * 3;
-      const isInvalid = isNaN(hammerData[off]) ||
-        (hammerData[off] === 0 && hammerData[off + 1] === 0 && hammerData[off + 2] === 0);
-      if (!isInvalid) {
+      if (isHammerSampleValid(hammerData, f)) {
         lastHammerFrame = f;
         break;
       }
@@ -1751,6 +2972,8 @@ function applyTimelineRange() {
   }
   rebuildMarkers();
   positionThrowWindowBar();
+  positionLoopRegion();
+  renderLoadStrip();
 }
 
 function positionThrowWindowBar() {
@@ -1782,7 +3005,7 @@ function rebuildMarkers() {
       const el = document.createElement('div');
       el.className = 'turn-marker';
       el.style.left = pct + '%';
-      el.innerHTML = `<div class="tick"></div><div class="label">${label}</div>`;
+      el.innerHTML = `<div class="tick"></div><div class="label">${escapeHtml(label)}</div>`;
       container.appendChild(el);
     });
   }
@@ -1796,169 +3019,1175 @@ function rebuildMarkers() {
     el.innerHTML = `<div class="tick"></div><div class="label">REL</div>`;
     container.appendChild(el);
   }
+
+  for (const n of notes) {
+    if (n.frame < timelineMin || n.frame > timelineMax) continue;
+    const el = document.createElement('div');
+    el.className = 'turn-marker note';
+    el.style.left = ((n.frame - timelineMin) / range) * 100 + '%';
+    el.title = `Frame ${n.frame}: ${n.text}`;
+    el.innerHTML = `<div class="tick"></div>`;
+    el.addEventListener('click', () => setFrame(n.frame));
+    container.appendChild(el);
+  }
 }
 
-// ─── UI ──────────────────────────────────────────────────────────────────────
+// ─── Loop Region ─────────────────────────────────────────────────────────────
+// Playback loops over A..B instead of the whole timeline once either end is
+// set (the other defaults to the timeline's end). Ends come from the A/B
+// keys, the handles on the scrubber, or a range in the Loop panel: presets
+// from the throw's data (see loop-ranges.js) or ranges saved per throw.
 
-// ─── Graph Overlay System ─────────────────────────────────────────────────────
+const LOOP_RANGES_STORAGE_KEY = 'throwsage_loop_ranges';
 
-let graphOverlayActive = false;
-let activeOverlaySource = null;  // 'planes' or 'separation'
+let loopA = null;           // frame, or null when unset
+let loopB = null;
+let loopRangePresets = [];  // [{group, label, start, end}]
+let savedLoopRanges = [];   // [{label, start, end}] for this throw
 
-function showGraphOverlay(containerId, drawFn, source) {
-  const isMobile = window.innerWidth <= 768 || window.innerHeight <= 500;
-  const metricGraphs = document.getElementById('metric-graphs');
-  const container = document.getElementById(containerId);
-  if (!container) return;
+function loopActive() {
+  return loopA != null || loopB != null;
+}
 
-  graphOverlayActive = true;
-  activeOverlaySource = source || null;
-  container.style.display = 'block';
+// Frames playback runs over → {start, end}
+function playbackBounds() {
+  if (!loopActive()) return { start: timelineMin, end: timelineMax };
+  return loopBounds(loopA, loopB, timelineMin, timelineMax);
+}
 
-  if (isMobile) {
-    metricGraphs.classList.add('overlay-mode');
-    requestAnimationFrame(() => {
-      const canvas = container.querySelector('canvas');
-      if (canvas) {
-        const rect = canvas.getBoundingClientRect();
-        canvas.width = Math.round(rect.width);
-        canvas.height = Math.round(rect.height);
-      }
-      drawFn(currentFrame);
-    });
-  } else {
-    drawFn(currentFrame);
-  }
+function setLoop(a, b) {
+  loopA = a;
+  loopB = b;
+  positionLoopRegion();
+  renderLoopStatus();
 }
 
-function dismissGraphOverlay() {
-  const metricGraphs = document.getElementById('metric-graphs');
-  graphOverlayActive = false;
-  metricGraphs.classList.remove('overlay-mode');
+function setLoopEnd(end, frame) {
+  if (end === 'a') setLoop(frame, loopB);
+  else setLoop(loopA, frame);
+}
 
-  if (activeOverlaySource === 'planes') {
-    const kaContainer = document.getElementById('kneeangle-container');
-    if (kaContainer) kaContainer.style.display = 'none';
-    const canvas = document.getElementById('kneeangle-graph');
-    if (canvas) { canvas.width = 360; canvas.height = 140; }
-    if (legPlanesGroup) legPlanesGroup.visible = false;
-    const planesBtn = document.querySelector('.toggle-btn[data-target="planes"]');
-    if (planesBtn) planesBtn.classList.remove('active');
-  } else if (activeOverlaySource === 'separation') {
-    const sepContainer = document.getElementById('separation-container');
-    if (sepContainer) sepContainer.style.display = 'none';
-    const canvas = document.getElementById('separation-graph');
-    if (canvas) { canvas.width = 360; canvas.height = 140; }
-    separationEnabled = false;
-    updateTorsoColors(currentFrame);
-    const sepBtn = document.querySelector('.toggle-btn[data-target="separation"]');
-    if (sepBtn) sepBtn.classList.remove('active');
-  }
+// Band between the ends plus a handle per end; shown while a loop is set
+// or the panel is open, so a loop can be dragged out from nothing
+function positionLoopRegion() {
+  const region = document.getElementById('loop-region');
+  const panel = document.getElementById('loop-panel');
+  if (!region || !panel || !metadata) return;
+  const range = timelineMax - timelineMin;
+  region.classList.toggle('hidden', range <= 0 || !(loopActive() || !panel.classList.contains('hidden')));
+  if (range <= 0) return;
 
-  activeOverlaySource = null;
+  const pct = (f) => ((Math.min(timelineMax, Math.max(timelineMin, f)) - timelineMin) / range) * 100 + '%';
+  const { start, end } = playbackBounds();
+  const band = document.getElementById('loop-band');
+  band.style.left = pct(start);
+  band.style.width = ((end - start) / range) * 100 + '%';
+  band.classList.toggle('inactive', !loopActive());
+  region.querySelector('[data-end="a"]').style.left = pct(loopA != null ? loopA : timelineMin);
+  region.querySelector('[data-end="b"]').style.left = pct(loopB != null ? loopB : timelineMax);
 }
 
-function cleanThrowName(raw) {
-  if (metadata.display_name) return metadata.display_name;
-  let name = raw || '';
-  name = name.replace(/_\d{8,}$/g, '');       // strip date suffix like _20220626
-  name = name.replace(/_small$/i, '');          // strip _small
-  name = name.replace(/_/g, ' ');               // underscores to spaces
-  return name || raw;
+function renderLoopStatus() {
+  const el = document.getElementById('loop-status');
+  if (!el) return;
+  if (!loopActive()) {
+    el.textContent = 'No loop — playback covers the whole timeline.';
+    return;
+  }
+  const { start, end } = playbackBounds();
+  el.textContent = `Looping frames ${start}–${end} (${((end - start + 1) / metadata.fps).toFixed(2)}s)`;
 }
 
-function initUI() {
-  const T = metadata.frame_count;
+function readStoredLoopRanges() {
+  try {
+    return JSON.parse(localStorage.getItem(LOOP_RANGES_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
 
-  // Header — clean display name
-  document.getElementById('throw-name').textContent = cleanThrowName(metadata.throw);
+function storeLoopRanges() {
+  const all = readStoredLoopRanges();
+  all[throwStorageKey()] = savedLoopRanges;
+  try {
+    localStorage.setItem(LOOP_RANGES_STORAGE_KEY, JSON.stringify(all));
+  } catch (err) {
+    console.warn(`Could not save loop ranges: ${err.message}`);
+  }
+}
 
-  // Scrubber
-  const scrubber = document.getElementById('scrubber');
-  scrubber.max = T - 1;
-  scrubber.value = 0;
+function applyLoopRange(r) {
+  setLoop(r.start, r.end);
+  setFrame(playbackBounds().start);
+}
 
-  scrubber.addEventListener('input', (e) => {
-    currentFrame = parseInt(e.target.value, 10);
-    updateFrame(currentFrame);
-  });
+// Presets grouped as in loop-ranges.js, then the saved ranges.
+// Option values index into loopRangeChoices().
+function loopRangeChoices() {
+  return [...loopRangePresets, ...savedLoopRanges.map(r => ({ ...r, group: 'Saved' }))];
+}
 
-  // Play/pause
-  const playBtn = document.getElementById('play-btn');
-  playBtn.addEventListener('click', () => {
-    playing = !playing;
-    playBtn.innerHTML = playing ? '&#9646;&#9646;' : '&#9654;';
-    if (playing) lastFrameTime = performance.now();
+function renderLoopPresetSelect() {
+  const select = document.getElementById('loop-preset');
+  if (!select) return;
+  select.innerHTML = '<option value="">Loop a range…</option>';
+  const groups = new Map();
+  loopRangeChoices().forEach((r, i) => {
+    if (!groups.has(r.group)) {
+      const og = document.createElement('optgroup');
+      og.label = r.group;
+      select.appendChild(og);
+      groups.set(r.group, og);
+    }
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = `${r.label} (${r.start}–${r.end})`;
+    groups.get(r.group).appendChild(opt);
   });
+}
 
-  // Speed buttons
-  document.querySelectorAll('.speed-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.speed-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      playbackSpeed = parseFloat(btn.dataset.speed);
+function renderSavedLoopRanges() {
+  const body = document.getElementById('loop-table-body');
+  if (!body) return;
+  body.innerHTML = '';
+  savedLoopRanges.forEach((r, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      `<td>${escapeHtml(r.label)}</td>` +
+      `<td>${r.start}–${r.end}</td>` +
+      `<td><button class="panel-btn loop-delete-btn" title="Delete range">&#10005;</button></td>`;
+    tr.addEventListener('click', () => applyLoopRange(r));
+    tr.querySelector('.loop-delete-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      savedLoopRanges.splice(i, 1);
+      storeLoopRanges();
+      renderSavedLoopRanges();
     });
+    body.appendChild(tr);
   });
+  if (savedLoopRanges.length === 0) body.innerHTML = '<tr><td colspan="3">No saved ranges</td></tr>';
+  renderLoopPresetSelect();
+}
 
-  // Range preset buttons
-  document.querySelectorAll('.range-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      activeRangePreset = btn.dataset.range;
-      applyTimelineRange();
-      // Redraw any visible graphs with new range
-      const sepC = document.getElementById('separation-container');
-      if (sepC && sepC.style.display !== 'none' && separationAngles) drawSeparationGraph(currentFrame);
-      const btC = document.getElementById('backtilt-container');
-      if (btC && btC.style.display !== 'none' && backTiltAngles) drawBackTiltGraph(currentFrame);
-      const kaC = document.getElementById('kneeangle-container');
-      if (kaC && kaC.style.display !== 'none' && legAlignmentData) drawLegCorotationGraph(currentFrame);
+function saveLoopRange(label) {
+  const { start, end } = playbackBounds();
+  savedLoopRanges = savedLoopRanges.filter(r => r.label !== label);
+  savedLoopRanges.push({ label, start, end });
+  savedLoopRanges.sort((a, b) => a.start - b.start || a.end - b.end);
+  storeLoopRanges();
+  renderSavedLoopRanges();
+}
+
+// Frame under a clientX on the scrubber track
+function scrubberFrameAt(clientX) {
+  const rect = document.getElementById('scrubber').getBoundingClientRect();
+  const t = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+  return Math.round(timelineMin + t * (timelineMax - timelineMin));
+}
+
+function setupLoopHandles() {
+  document.querySelectorAll('.loop-handle').forEach((handle) => {
+    const end = handle.dataset.end;
+    handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      handle.setPointerCapture(e.pointerId);
+    });
+    handle.addEventListener('pointermove', (e) => {
+      if (!handle.hasPointerCapture(e.pointerId)) return;
+      const frame = scrubberFrameAt(e.clientX);
+      setLoopEnd(end, frame);
+      setFrame(frame);
     });
   });
+}
 
-  // Keyboard shortcuts
-  document.addEventListener('keydown', (e) => {
-    if (e.code === 'Space') {
-      e.preventDefault();
-      playBtn.click();
-    } else if (e.code === 'ArrowLeft') {
-      e.preventDefault();
-      setFrame(Math.max(timelineMin, currentFrame - 1));
-    } else if (e.code === 'ArrowRight') {
-      e.preventDefault();
-      setFrame(Math.min(timelineMax, currentFrame + 1));
-    } else if (e.code === 'Home') {
-      e.preventDefault();
-      setFrame(timelineMin);
-    } else if (e.code === 'End') {
-      e.preventDefault();
-      setFrame(timelineMax);
-    }
+function initLoopPanel() {
+  const nameInput = document.getElementById('loop-name');
+  if (!nameInput) return;
+
+  loopRangePresets = dataRangePresets(metadata, supportStateData, lastHammerFrame);
+  const stored = readStoredLoopRanges()[throwStorageKey()];
+  savedLoopRanges = Array.isArray(stored) ? stored : [];
+
+  document.getElementById('loop-set-a-btn').addEventListener('click', () => setLoopEnd('a', currentFrame));
+  document.getElementById('loop-set-b-btn').addEventListener('click', () => setLoopEnd('b', currentFrame));
+  document.getElementById('loop-clear-btn').addEventListener('click', () => setLoop(null, null));
+
+  const select = document.getElementById('loop-preset');
+  select.addEventListener('change', () => {
+    const r = loopRangeChoices()[parseInt(select.value, 10)];
+    select.value = '';
+    if (r) applyLoopRange(r);
   });
 
-  // View reset button
-  document.getElementById('reset-view-btn').addEventListener('click', () => {
-    resetView();
+  const saveBtn = document.getElementById('loop-save-btn');
+  saveBtn.addEventListener('click', () => {
+    const label = nameInput.value.trim();
+    if (!label || !loopActive()) {
+      document.getElementById('loop-status').textContent = loopActive() ? 'Name the range first.' : 'Set A and B first.';
+      return;
+    }
+    saveLoopRange(label);
+    nameInput.value = '';
+  });
+  nameInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();  // keep viewer shortcuts out of the text field
+    if (e.key === 'Enter') saveBtn.click();
   });
 
-  // Fullscreen toggle
-  const fsBtn = document.getElementById('fullscreen-btn');
-  if (fsBtn) {
-    fsBtn.addEventListener('click', () => {
-      if (!document.fullscreenElement) {
-        document.documentElement.requestFullscreen().catch(() => {});
-      } else {
-        document.exitFullscreen().catch(() => {});
-      }
-    });
-    document.addEventListener('fullscreenchange', () => {
-      fsBtn.textContent = document.fullscreenElement ? '\u2716' : '\u26F6';
-    });
+  renderSavedLoopRanges();
+  renderLoopStatus();
+  setupLoopHandles();
+}
+
+// ─── Per-Turn Report ─────────────────────────────────────────────────────────
+
+let reportRows = null;  // built on first open — needs groundY from positionGround
+
+function buildThrowReport() {
+  const T = metadata.frame_count;
+  const groundRef = isWorldSpace ? metadata.ground_y : groundY;
+  const hammerHeight = new Float32Array(T);
+  for (let f = 0; f < T; f++) {
+    if (!isHammerSampleValid(hammerData, f)) { hammerHeight[f] = NaN; continue; }
+    const off = f * 3;
+    hammerHeight[f] = camToThree(hammerData[off], hammerData[off + 1], hammerData[off + 2])[1] - groundRef;
   }
 
-  // Screenshot button
-  const ssBtn = document.getElementById('screenshot-btn');
+  const metrics = { separation: separationAngles, back_lean: backTiltAngles };
+  if (legAlignmentData) metrics.leg_alignment = legAlignmentData;
+  if (hammerKinematics) metrics.hammer_speed = hammerKinematics.speed;
+
+  return buildReport({
+    phases: buildPhases(metadata, lastHammerFrame),
+    fps: metadata.fps,
+    supportState: supportStateData,
+    metrics,
+    hammerHeight,
+  });
+}
+
+function renderReportTable() {
+  const body = document.getElementById('report-table-body');
+  if (!body) return;
+  if (!reportRows) reportRows = buildThrowReport();
+
+  const fmt = (v, d) => (v == null ? '—' : v.toFixed(d));
+  body.innerHTML = '';
+  for (const row of reportRows) {
+    const tr = document.createElement('tr');
+    if (row.kind === 'total') tr.className = 'total-row';
+    tr.innerHTML =
+      `<td>${escapeHtml(row.phase)}</td>` +
+      `<td>${fmt(row.duration_s, 2)}</td>` +
+      `<td>${fmt(row.ss_pct, 0)}</td>` +
+      `<td>${fmt(row.separation_max, 0)}</td>` +
+      `<td>${fmt(row.hammer_high_m, 2)} / ${fmt(row.hammer_low_m, 2)}</td>`;
+    tr.addEventListener('click', () => setFrame(Math.min(timelineMax, Math.max(timelineMin, row.start))));
+    body.appendChild(tr);
+  }
+}
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function initReportPanel() {
+  const throwName = (metadata.throw || 'throw').replace(/\s+/g, '_');
+  const csvBtn = document.getElementById('report-csv-btn');
+  const jsonBtn = document.getElementById('report-json-btn');
+  if (csvBtn) {
+    csvBtn.addEventListener('click', () => {
+      if (!reportRows) reportRows = buildThrowReport();
+      downloadText(`${throwName}_report.csv`, reportToCSV(reportRows), 'text/csv');
+    });
+  }
+  if (jsonBtn) {
+    jsonBtn.addEventListener('click', () => {
+      if (!reportRows) reportRows = buildThrowReport();
+      downloadText(`${throwName}_report.json`, reportToJSON(reportRows, metadata), 'application/json');
+    });
+  }
+}
+
+// ─── Coach Notes ─────────────────────────────────────────────────────────────
+// Text notes pinned to frames (see notes.js), each with an optional arrow
+// picked on the body (follows that vertex) or the ground. Edits are kept per
+// throw in localStorage. A notes file next to the throw (files.notes, else
+// notes.json) is merged in on load, so an exported file travels with it.
+
+const NOTES_STORAGE_KEY = 'throwsage_notes';
+const NOTE_COLOR = 0xffd166;
+const NOTE_SHOW_FRAMES = 3;      // arrows and the callout show within ± this of a note
+const NOTE_ARROW_LENGTH = 0.3;   // meters, pointing down onto the anchor
+const NOTE_PICK_SLOP_PX = 4;     // more pointer travel than this is an orbit drag
+
+let notes = [];                  // sorted by frame
+let deletedNoteIds = new Set();  // file notes deleted here stay deleted on reload
+let notesGroup = null;
+let noteArrows = new Map();      // note id → arrow group
+let notePickMode = null;         // 'body' | 'ground' while waiting for a click
+let pendingNoteAnchor = null;    // picked anchor for the next added note
+let pendingNoteArrow = null;
+
+function readStoredNotes() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTES_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveNotes() {
+  const all = readStoredNotes();
+  all[throwStorageKey()] = { notes, deleted: [...deletedNoteIds] };
+  try {
+    localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(all));
+  } catch (err) {
+    console.warn(`Could not save notes: ${err.message}`);
+  }
+}
+
+// The throw's own notes file, if it has one → notes (bad ones dropped)
+async function loadNotesFile() {
+  const url = dataUrl(filePath(metadata.files.notes) || 'notes.json');
+  if (url.startsWith(MISSING_LOCAL_PREFIX)) return [];
+  let text;
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return [];
+    text = await resp.text();
+  } catch {
+    return [];
+  }
+  const { notes: fileNotes, problems } = parseNotes(text, metadata.frame_count, metadata.vertex_count);
+  if (problems.length) console.warn(`${describeUrl(url)}: ${problems.join('; ')}`);
+  return fileNotes;
+}
+
+function createNotes() {
+  notesGroup = new THREE.Group();
+  scene.add(notesGroup);
+
+  const stored = readStoredNotes()[throwStorageKey()];
+  if (stored && Array.isArray(stored.notes)) {
+    notes = sortNotes(stored.notes);
+    deletedNoteIds = new Set(stored.deleted || []);
+  }
+  renderNotes();
+
+  loadNotesFile().then((fileNotes) => {
+    const fresh = fileNotes.filter(n => !deletedNoteIds.has(n.id));
+    if (!fresh.length) return;
+    // Local edits win over the file's copy of the same note
+    notes = mergeNotes(fresh, notes);
+    renderNotes();
+  });
+}
+
+function makeNoteArrow() {
+  const group = new THREE.Group();
+  const arrow = new THREE.ArrowHelper(
+    new THREE.Vector3(0, -1, 0), new THREE.Vector3(0, NOTE_ARROW_LENGTH, 0),
+    NOTE_ARROW_LENGTH, NOTE_COLOR, 0.08, 0.05,
+  );
+  const dot = new THREE.Mesh(
+    new THREE.SphereGeometry(0.02, 12, 8),
+    new THREE.MeshBasicMaterial({ color: NOTE_COLOR }),
+  );
+  for (const m of [arrow.line.material, arrow.cone.material, dot.material]) m.depthTest = false;
+  group.add(arrow, dot);
+  group.traverse((o) => { o.renderOrder = 11; });
+  return group;
+}
+
+function disposeNoteArrow(group) {
+  notesGroup.remove(group);
+  group.children[0].dispose();
+  group.children[1].geometry.dispose();
+  group.children[1].material.dispose();
+}
+
+function placeNoteArrow(group, anchor) {
+  if (anchor.kind === 'body') {
+    group.position.fromBufferAttribute(bodyMesh.geometry.getAttribute('position'), anchor.vertex);
+  } else {
+    group.position.fromArray(anchor.point);
+  }
+}
+
+// Arrows, timeline markers and the list all follow `notes`
+function renderNotes() {
+  for (const group of noteArrows.values()) disposeNoteArrow(group);
+  noteArrows.clear();
+  for (const n of notes) {
+    if (!n.anchor) continue;
+    const group = makeNoteArrow();
+    notesGroup.add(group);
+    noteArrows.set(n.id, group);
+  }
+  updateNotesFrame(currentFrame);
+  rebuildMarkers();
+  renderNotesTable();
+}
+
+function updateNotesFrame(frame) {
+  if (!notesGroup) return;
+  const near = notes.filter(n => Math.abs(n.frame - frame) <= NOTE_SHOW_FRAMES);
+  for (const n of notes) {
+    const group = noteArrows.get(n.id);
+    if (!group) continue;
+    group.visible = near.includes(n);
+    if (group.visible) placeNoteArrow(group, n.anchor);
+  }
+  if (pendingNoteArrow) placeNoteArrow(pendingNoteArrow, pendingNoteAnchor);
+
+  const callout = document.getElementById('note-callout');
+  if (!callout) return;
+  callout.classList.toggle('hidden', near.length === 0);
+  callout.innerHTML = near.map(n =>
+    `<div><span class="note-frame">${n.frame}</span>${escapeHtml(n.text)}</div>`).join('');
+}
+
+function setNotesStatus(text) {
+  const el = document.getElementById('notes-status');
+  if (el) el.textContent = text;
+}
+
+function renderNotesTable() {
+  const body = document.getElementById('notes-table-body');
+  if (!body) return;
+  body.innerHTML = '';
+  for (const n of notes) {
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      `<td>${n.frame}${n.anchor ? ' &#8600;' : ''}</td>` +
+      `<td class="note-text">${escapeHtml(n.text)}</td>` +
+      `<td><button class="panel-btn note-delete-btn" title="Delete note">&#10005;</button></td>`;
+    tr.addEventListener('click', () => setFrame(Math.min(timelineMax, Math.max(timelineMin, n.frame))));
+    tr.querySelector('.note-delete-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteNote(n.id);
+    });
+    body.appendChild(tr);
+  }
+  if (notes.length === 0) body.innerHTML = '<tr><td colspan="3">No notes yet</td></tr>';
+}
+
+function addNote(text) {
+  notes = sortNotes([...notes, createNote(currentFrame, text, pendingNoteAnchor)]);
+  clearPendingNoteAnchor();
+  saveNotes();
+  renderNotes();
+}
+
+function deleteNote(id) {
+  notes = notes.filter(n => n.id !== id);
+  deletedNoteIds.add(id);
+  saveNotes();
+  renderNotes();
+}
+
+function jumpToNote(dir) {
+  const n = adjacentNote(notes, currentFrame, dir);
+  if (n) setFrame(Math.min(timelineMax, Math.max(timelineMin, n.frame)));
+}
+
+function clearPendingNoteAnchor() {
+  pendingNoteAnchor = null;
+  if (pendingNoteArrow) {
+    disposeNoteArrow(pendingNoteArrow);
+    pendingNoteArrow = null;
+  }
+}
+
+function setNotePickMode(mode) {
+  notePickMode = mode;
+  document.getElementById('note-pin-body-btn').classList.toggle('active', mode === 'body');
+  document.getElementById('note-pin-ground-btn').classList.toggle('active', mode === 'ground');
+  renderer.domElement.style.cursor = mode ? 'crosshair' : '';
+  if (mode) setNotesStatus(`Click the ${mode === 'body' ? 'body' : 'ground'} where the arrow should point.`);
+}
+
+// Nearest vertex of the body face under the ray, or null
+function pickBodyAnchor(raycaster) {
+  if (!bodyMesh.visible) return null;
+  // Bounds were computed for the first frame; the body has moved since
+  bodyMesh.geometry.computeBoundingSphere();
+  bodyMesh.geometry.computeBoundingBox();
+  const hit = raycaster.intersectObject(bodyMesh)[0];
+  if (!hit) return null;
+  const pos = bodyMesh.geometry.getAttribute('position');
+  const v = new THREE.Vector3();
+  let vertex = hit.face.a, best = Infinity;
+  for (const i of [hit.face.a, hit.face.b, hit.face.c]) {
+    const d = v.fromBufferAttribute(pos, i).distanceToSquared(hit.point);
+    if (d < best) { best = d; vertex = i; }
+  }
+  return { kind: 'body', vertex };
+}
+
+function pickGroundAnchor(raycaster) {
+  const hit = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -groundY), new THREE.Vector3());
+  if (!hit) return null;
+  return { kind: 'ground', point: [hit.x, groundY, hit.z].map(c => Math.round(c * 1000) / 1000) };
+}
+
+function setupNotePicking() {
+  const domEl = renderer.domElement;
+  const raycaster = new THREE.Raycaster();
+  const pointerNDC = new THREE.Vector2();
+  let down = null;
+
+  domEl.addEventListener('pointerdown', (event) => {
+    down = notePickMode ? { x: event.clientX, y: event.clientY } : null;
+  });
+  domEl.addEventListener('pointerup', (event) => {
+    if (!notePickMode || !down) return;
+    const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+    down = null;
+    if (moved > NOTE_PICK_SLOP_PX) return;
+
+    const rect = domEl.getBoundingClientRect();
+    pointerNDC.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointerNDC.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointerNDC, camera);
+    const anchor = notePickMode === 'body' ? pickBodyAnchor(raycaster) : pickGroundAnchor(raycaster);
+    if (!anchor) {
+      setNotesStatus(`Missed the ${notePickMode} — try again.`);
+      return;
+    }
+    clearPendingNoteAnchor();
+    pendingNoteAnchor = anchor;
+    pendingNoteArrow = makeNoteArrow();
+    notesGroup.add(pendingNoteArrow);
+    placeNoteArrow(pendingNoteArrow, anchor);
+    setNotePickMode(null);
+    setNotesStatus('Arrow placed — it is added with the next note.');
+  });
+}
+
+function importNotes(text) {
+  const { notes: imported, problems } = parseNotes(text, metadata.frame_count, metadata.vertex_count);
+  if (imported.length) {
+    for (const n of imported) deletedNoteIds.delete(n.id);
+    notes = mergeNotes(notes, imported);
+    saveNotes();
+    renderNotes();
+  }
+  const summary = `Imported ${imported.length} note${imported.length === 1 ? '' : 's'}.`;
+  setNotesStatus(problems.length ? `${summary} ${problems.join('; ')}` : summary);
+}
+
+function initNotesPanel() {
+  const textInput = document.getElementById('note-text');
+  const importInput = document.getElementById('notes-import-input');
+  if (!textInput || !importInput) return;
+
+  textInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) document.getElementById('note-add-btn').click();
+  });
+  document.getElementById('note-add-btn').addEventListener('click', () => {
+    const text = textInput.value.trim();
+    if (!text) {
+      setNotesStatus('Type a note first.');
+      return;
+    }
+    addNote(text);
+    textInput.value = '';
+    setNotePickMode(null);
+    setNotesStatus(`Note added at frame ${currentFrame}.`);
+  });
+  document.getElementById('note-pin-body-btn').addEventListener('click', () => {
+    setNotePickMode(notePickMode === 'body' ? null : 'body');
+  });
+  document.getElementById('note-pin-ground-btn').addEventListener('click', () => {
+    setNotePickMode(notePickMode === 'ground' ? null : 'ground');
+  });
+  document.getElementById('note-prev-btn').addEventListener('click', () => jumpToNote(-1));
+  document.getElementById('note-next-btn').addEventListener('click', () => jumpToNote(1));
+
+  const throwName = (metadata.throw || 'throw').replace(/\s+/g, '_');
+  document.getElementById('notes-export-btn').addEventListener('click', () => {
+    downloadText(`${throwName}_notes.json`, notesToJSON(notes, metadata), 'application/json');
+    setNotesStatus('Put the file next to metadata.json as notes.json to share it with the throw.');
+  });
+  document.getElementById('notes-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) importNotes(await file.text());
+  });
+
+  setupNotePicking();
+}
+
+// ─── Video Export ────────────────────────────────────────────────────────────
+// Record renders timelineMin..timelineMax one frame at a time through
+// updateFrame (animate() is paused meanwhile), composites the optional PiP
+// and graph overlays, and encodes with WebCodecs + webm.js. Browsers without
+// VideoEncoder fall back to MediaRecorder, paced in real time.
+
+const RECORD_SIZES = { window: null, '720': [1280, 720], '1080': [1920, 1080] };
+
+let recordingVideo = false;
+let recordCancelled = false;
+
+function getRecordSize(key) {
+  const size = RECORD_SIZES[key];
+  const w = size ? size[0] : window.innerWidth;
+  const h = size ? size[1] : window.innerHeight;
+  return [w & ~1, h & ~1];  // encoders want even dimensions
+}
+
+function visibleGraphCanvases() {
+  return Array.from(document.querySelectorAll('#metric-graphs canvas'))
+    .filter(c => c.parentElement.style.display !== 'none' && c.parentElement.offsetParent !== null);
+}
+
+// 3D view, then PiP bottom-right and graphs stacked top-left
+function composeRecordFrame(ctx, frame, opts) {
+  const { width, height } = ctx.canvas;
+  const margin = Math.round(height * 0.02);
+  ctx.drawImage(renderer.domElement, 0, 0, width, height);
+
+  if (opts.pip && pipFrames && pipFrames[frame] && pipFrames[frame].naturalWidth) {
+    const img = pipFrames[frame];
+    const w = Math.round(width * 0.25);
+    const h = Math.round(w * img.naturalHeight / img.naturalWidth);
+    ctx.drawImage(img, width - w - margin, height - h - margin, w, h);
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(width - w - margin + 0.5, height - h - margin + 0.5, w - 1, h - 1);
+  }
+
+  if (opts.graphs) {
+    let y = margin;
+    for (const c of visibleGraphCanvases()) {
+      const w = Math.round(width * 0.3);
+      const h = Math.round(w * c.height / c.width);
+      if (y + h > height - margin) break;
+      ctx.drawImage(c, margin, y, w, h);
+      y += h + margin / 2;
+    }
+  }
+}
+
+async function pickVideoCodec(width, height, bitrate, framerate) {
+  if (typeof VideoEncoder === 'undefined') return null;
+  const candidates = [['vp9', 'vp09.00.40.08'], ['vp8', 'vp8']];
+  for (const [name, codec] of candidates) {
+    const config = { codec, width, height, bitrate, framerate };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return { name, config };
+    } catch (err) {
+      // try the next codec
+    }
+  }
+  return null;
+}
+
+async function recordVideo(opts, onProgress) {
+  const [width, height] = getRecordSize(opts.size);
+  const fps = metadata.fps * opts.speed;          // one throw frame per video frame
+  const frameUs = 1e6 / fps;
+  const first = timelineMin, last = timelineMax;
+  const count = last - first + 1;
+
+  if (vertexFramesRemaining > 0) {
+    onProgress(0, count, 'Waiting for frames to load...');
+    await vertexStreamDone;
+  }
+
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext('2d');
+
+  // Render off-screen size for the duration of the recording
+  const savedFrame = currentFrame;
+  const savedPixelRatio = renderer.getPixelRatio();
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  const renderFrame = (f) => {
+    currentFrame = f;
+    updateFrame(f);
+    redrawVisibleGraphs();
+    controls.update();
+    renderer.render(scene, camera);
+    composeRecordFrame(ctx, f, opts);
+  };
+
+  try {
+    const codec = await pickVideoCodec(width, height, opts.bitrate, fps);
+    if (codec) {
+      const chunks = [];
+      let encodeError = null;
+      const encoder = new VideoEncoder({
+        output: (chunk) => {
+          const data = new Uint8Array(chunk.byteLength);
+          chunk.copyTo(data);
+          chunks.push({ data, timestampMs: chunk.timestamp / 1000, keyframe: chunk.type === 'key' });
+        },
+        error: (err) => { encodeError = err; },
+      });
+      encoder.configure(codec.config);
+      const keyEvery = Math.max(1, Math.round(fps));
+
+      for (let i = 0; i < count && !recordCancelled; i++) {
+        if (encodeError) throw encodeError;
+        renderFrame(first + i);
+        const vf = new VideoFrame(out, { timestamp: Math.round(i * frameUs), duration: Math.round(frameUs) });
+        encoder.encode(vf, { keyFrame: i % keyEvery === 0 });
+        vf.close();
+        onProgress(i + 1, count);
+        // Let the encoder drain and the page repaint the progress
+        while (encoder.encodeQueueSize > 4) await new Promise(r => setTimeout(r, 5));
+        await new Promise(r => setTimeout(r, 0));
+      }
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+      if (recordCancelled) return null;
+      return buildWebM({ width, height, codec: codec.name, frames: chunks, durationMs: count * frameUs / 1000 });
+    }
+
+    if (typeof MediaRecorder === 'undefined' || !out.captureStream) {
+      throw new Error('this browser has neither WebCodecs nor MediaRecorder');
+    }
+    const stream = out.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mime = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(t => MediaRecorder.isTypeSupported(t));
+    const recorder = new MediaRecorder(stream, { mimeType: mime, videoBitsPerSecond: opts.bitrate });
+    const parts = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) parts.push(e.data); };
+    const stopped = new Promise(r => { recorder.onstop = r; });
+    recorder.start();
+    for (let i = 0; i < count && !recordCancelled; i++) {
+      const t0 = performance.now();
+      renderFrame(first + i);
+      track.requestFrame();
+      onProgress(i + 1, count);
+      const wait = frameUs / 1000 - (performance.now() - t0);
+      await new Promise(r => setTimeout(r, Math.max(0, wait)));
+    }
+    recorder.stop();
+    await stopped;
+    return recordCancelled ? null : new Blob(parts, { type: 'video/webm' });
+  } finally {
+    renderer.setPixelRatio(savedPixelRatio);
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    currentFrame = savedFrame;
+    document.getElementById('scrubber').value = savedFrame;
+    updateFrame(savedFrame);
+    redrawVisibleGraphs();
+  }
+}
+
+function initRecordPanel() {
+  const startBtn = document.getElementById('record-start-btn');
+  const cancelBtn = document.getElementById('record-cancel-btn');
+  const status = document.getElementById('record-status');
+  const speedSel = document.getElementById('record-speed');
+  if (!startBtn || !cancelBtn || !status) return;
+
+  const describeRange = () => {
+    const count = timelineMax - timelineMin + 1;
+    const secs = count / (metadata.fps * parseFloat(speedSel.value));
+    status.textContent = `Frames ${timelineMin}–${timelineMax} → ${secs.toFixed(1)} s of video`;
+  };
+  speedSel.addEventListener('change', describeRange);
+  document.querySelector('.toggle-btn[data-target="record"]').addEventListener('click', describeRange);
+
+  startBtn.addEventListener('click', async () => {
+    if (recordingVideo) return;
+    if (playing) document.getElementById('play-btn').click();
+    const opts = {
+      size: document.getElementById('record-size').value,
+      speed: parseFloat(speedSel.value),
+      bitrate: parseInt(document.getElementById('record-quality').value, 10),
+      pip: document.getElementById('record-pip').checked,
+      graphs: document.getElementById('record-graphs').checked,
+    };
+    recordingVideo = true;
+    recordCancelled = false;
+    startBtn.disabled = true;
+    cancelBtn.disabled = false;
+    try {
+      const blob = await recordVideo(opts, (done, total, note) => {
+        status.textContent = note || `Rendering frame ${done} / ${total}...`;
+      });
+      if (blob) {
+        const throwName = (metadata.throw || 'throw').replace(/\s+/g, '_');
+        const link = document.createElement('a');
+        link.download = `${throwName}_f${timelineMin}-${timelineMax}.webm`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+        status.textContent = `Saved ${(blob.size / 1048576).toFixed(1)} MB`;
+      } else {
+        status.textContent = 'Recording cancelled';
+      }
+    } catch (err) {
+      console.error(err);
+      status.textContent = `Recording failed: ${err.message}`;
+    } finally {
+      recordingVideo = false;
+      startBtn.disabled = false;
+      cancelBtn.disabled = true;
+    }
+  });
+  cancelBtn.addEventListener('click', () => { recordCancelled = true; });
+}
+
+// ─── Offline ─────────────────────────────────────────────────────────────────
+// Saves the open throw (metadata.json, every files.* entry, PiP thumbnails)
+// into Cache Storage; sw.js serves it — and the app shell — without signal.
+
+function formatMB(bytes) {
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+// Absolute URLs of everything the viewer fetches for this throw
+function offlineThrowUrls() {
+  const required = [metadataUrl];
+  const optional = [];
+  for (const [key, entry] of Object.entries(metadata.files)) {
+    const url = dataUrl(filePath(entry));
+    if (['vertices', 'faces', 'keypoints', 'hammer'].includes(key)) required.push(url);
+    else optional.push(url);
+  }
+  if (metadata.pip_thumbnails) {
+    for (let f = 0; f < metadata.frame_count; f++) optional.push(dataUrl(thumbnailUrl(metadata, '', f)));
+  }
+  return { required, optional };
+}
+
+function formatSavedDate(ms) {
+  return new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+async function renderOfflineList() {
+  const body = document.getElementById('offline-table-body');
+  const usageEl = document.getElementById('offline-usage');
+  if (!body) return;
+  const saved = await listOfflineThrows();
+  body.innerHTML = '';
+  for (const entry of saved) {
+    const isCurrent = entry.key === metadataUrl;
+    const tr = document.createElement('tr');
+    if (isCurrent) tr.className = 'current-row';
+    tr.innerHTML =
+      `<td><a href="${escapeHtml(entry.viewerHref)}">${escapeHtml(entry.name)}</a>` +
+      ` <span class="offline-stale hidden" title="The server has a newer version of this throw">(update available)</span></td>` +
+      `<td>${formatSavedDate(entry.savedAt)}</td>` +
+      `<td>${formatMB(entry.bytes)}</td>` +
+      `<td>${entry.files}${entry.missing ? ` <span title="files that could not be fetched">(−${entry.missing})</span>` : ''}</td>` +
+      '<td>' +
+      (isCurrent && !localFileUrls ? '<button class="panel-btn offline-update-btn" title="Download this throw again">Update</button> ' : '') +
+      '<button class="panel-btn offline-delete-btn">Delete</button></td>';
+    tr.querySelector('.offline-delete-btn').addEventListener('click', async () => {
+      await deleteOfflineThrow(entry.key);
+      renderOfflineList();
+      updateOfflineSaveButton();
+    });
+    const updateBtn = tr.querySelector('.offline-update-btn');
+    if (updateBtn) updateBtn.addEventListener('click', saveCurrentThrowOffline);
+    // Ask the server in the background whether the saved copy is out of date
+    isOfflineThrowStale(entry.key).then((stale) => {
+      tr.querySelector('.offline-stale').classList.toggle('hidden', !stale);
+    });
+    body.appendChild(tr);
+  }
+  if (saved.length === 0) body.innerHTML = '<tr><td colspan="5">No throws saved yet</td></tr>';
+
+  const estimate = await storageEstimate();
+  if (usageEl && estimate) {
+    usageEl.textContent = `Browser storage: ${formatMB(estimate.usage)} used of ${formatMB(estimate.quota)}`;
+  }
+}
+
+function updateOfflineSaveButton() {
+  const btn = document.getElementById('offline-save-btn');
+  if (btn) btn.textContent = isThrowSaved(metadataUrl) ? 'Update saved copy' : 'Save this throw';
+}
+
+// Download (or re-download) the open throw into its offline cache
+async function saveCurrentThrowOffline() {
+  const btn = document.getElementById('offline-save-btn');
+  const status = document.getElementById('offline-status');
+  btn.disabled = true;
+  const { required, optional } = offlineThrowUrls();
+  try {
+    const entry = await saveThrowOffline({
+      key: metadataUrl,
+      name: cleanThrowName(metadata),
+      viewerHref: window.location.pathname + window.location.search,
+      required,
+      optional,
+      onProgress: (done, total, bytes) => {
+        status.textContent = `Saving ${done} / ${total} files (${formatMB(bytes)})...`;
+      },
+    });
+    status.textContent = `Saved ${entry.files} files, ${formatMB(entry.bytes)}` +
+      (entry.missing ? ` — ${entry.missing} optional files were unavailable` : '');
+  } catch (err) {
+    console.error(err);
+    status.textContent = `Save failed: ${err.message}`;
+  } finally {
+    btn.disabled = false;
+    updateOfflineSaveButton();
+    renderOfflineList();
+  }
+}
+
+function initOfflinePanel() {
+  const btn = document.getElementById('offline-save-btn');
+  const status = document.getElementById('offline-status');
+  if (!btn || !status) return;
+
+  if (!offlineSupported()) {
+    btn.disabled = true;
+    status.textContent = 'Offline saving needs the viewer served over https (or localhost).';
+    return;
+  }
+  if (localFileUrls) {
+    btn.disabled = true;
+    status.textContent = 'This throw was opened from local files — nothing to download.';
+  }
+
+  registerOfflineWorker();
+  updateOfflineSaveButton();
+  document.querySelector('.toggle-btn[data-target="offline"]').addEventListener('click', renderOfflineList);
+  btn.addEventListener('click', saveCurrentThrowOffline);
+
+  // A saved throw is served from the cache even online; say so when the
+  // server has since re-processed it
+  if (!localFileUrls && isThrowSaved(metadataUrl)) {
+    isOfflineThrowStale(metadataUrl).then((stale) => {
+      if (stale) status.textContent = 'The server has a newer version of this throw — click "Update saved copy" to download it.';
+    });
+  }
+}
+
+// ─── UI ──────────────────────────────────────────────────────────────────────
+
+// ─── Metric Graphs ───────────────────────────────────────────────────────────
+
+let metricGraphs = null;  // {separation, backTilt, legAlignment, speed, angles} — see metric-graph.js
+
+// Support phases and turn boundaries under every graph
+function drawPhaseUnderlay(ctx, xPx, pad, plotH, fStart, fEnd) {
+  drawSSDSShading(ctx, xPx, pad, plotH, fStart, fEnd);
+  drawTurnMarkers(ctx, xPx, pad, plotH, fStart, fEnd);
+}
+
+function initMetricGraphs() {
+  const graph = (canvasId, opts) => createMetricGraph(document.getElementById(canvasId), {
+    decorate: drawPhaseUnderlay,
+    onSeek: setFrame,
+    frameLabel: (f) => `Frame ${f} · ${(f / metadata.fps).toFixed(2)}s`,
+    ...opts,
+  });
+  metricGraphs = {
+    separation: graph('separation-graph', { title: 'Separation', unit: '\u00B0', zeroLine: true }),
+    backTilt: graph('backtilt-graph', { title: 'Back Tilt', unit: '\u00B0', zeroLine: true }),
+    legAlignment: graph('kneeangle-graph', {
+      title: 'Leg Co-rotation',
+      unit: '\u00B0',
+      bands: [
+        { from: 15, to: 30, fill: 'rgba(255, 165, 0, 0.06)' },
+        { from: 30, to: Infinity, fill: 'rgba(220, 50, 50, 0.06)' },
+      ],
+      thresholds: [
+        { value: 15, color: 'rgba(255, 165, 0, 0.7)' },
+        { value: 30, color: 'rgba(220, 50, 50, 0.7)' },
+      ],
+    }),
+    speed: graph('speed-graph', { title: 'Hammer Speed (m/s)', yFloor: 0, yMinSpan: 5, annotate: drawTurnPeakSpeeds }),
+    angles: graph('angles-graph', { title: 'Joint Angles', unit: '\u00B0', digits: 0, legend: true }),
+    com: graph('com-graph', {
+      title: 'Center of Mass (cm)',
+      digits: 0,
+      legend: true,
+      zeroLine: true,
+      bands: comDriftLimit === null ? [] : [{ from: comDriftLimit, to: Infinity, fill: 'rgba(220, 50, 50, 0.07)' }],
+      thresholds: comDriftLimit === null ? [] : [{ value: comDriftLimit, color: 'rgba(220, 50, 50, 0.7)' }],
+    }),
+  };
+}
+
+// ─── Graph Overlay System ─────────────────────────────────────────────────────
+
+let graphOverlayActive = false;
+let activeOverlaySource = null;  // 'planes' or 'separation'
+
+function showGraphOverlay(containerId, drawFn, source) {
+  const isMobile = window.innerWidth <= 768 || window.innerHeight <= 500;
+  const metricGraphs = document.getElementById('metric-graphs');
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  graphOverlayActive = true;
+  activeOverlaySource = source || null;
+  container.style.display = 'block';
+
+  if (isMobile) {
+    metricGraphs.classList.add('overlay-mode');
+    // Graphs size to their CSS box — draw once the overlay layout applies
+    requestAnimationFrame(() => drawFn(currentFrame));
+  } else {
+    drawFn(currentFrame);
+  }
+}
+
+function dismissGraphOverlay() {
+  const metricGraphs = document.getElementById('metric-graphs');
+  graphOverlayActive = false;
+  metricGraphs.classList.remove('overlay-mode');
+
+  if (activeOverlaySource === 'planes') {
+    const kaContainer = document.getElementById('kneeangle-container');
+    if (kaContainer) kaContainer.style.display = 'none';
+    if (legPlanesGroup) legPlanesGroup.visible = false;
+    const planesBtn = document.querySelector('.toggle-btn[data-target="planes"]');
+    if (planesBtn) planesBtn.classList.remove('active');
+  } else if (activeOverlaySource === 'separation') {
+    const sepContainer = document.getElementById('separation-container');
+    if (sepContainer) sepContainer.style.display = 'none';
+    separationEnabled = false;
+    updateTorsoColors(currentFrame);
+    const sepBtn = document.querySelector('.toggle-btn[data-target="separation"]');
+    if (sepBtn) sepBtn.classList.remove('active');
+  }
+
+  activeOverlaySource = null;
+}
+
+// Redraw any visible graphs (after a range or comparison change)
+function redrawVisibleGraphs() {
+  const sepC = document.getElementById('separation-container');
+  if (sepC && sepC.style.display !== 'none' && separationAngles) drawSeparationGraph(currentFrame);
+  const btC = document.getElementById('backtilt-container');
+  if (btC && btC.style.display !== 'none' && backTiltAngles) drawBackTiltGraph(currentFrame);
+  const kaC = document.getElementById('kneeangle-container');
+  if (kaC && kaC.style.display !== 'none' && legAlignmentData) drawLegCorotationGraph(currentFrame);
+  const spC = document.getElementById('speed-container');
+  if (spC && spC.style.display !== 'none' && hammerKinematics) drawSpeedGraph(currentFrame);
+  const anC = document.getElementById('angles-container');
+  if (anC && anC.style.display !== 'none' && jointAngles) drawJointAngleGraph(currentFrame);
+  const comC = document.getElementById('com-container');
+  if (comC && comC.style.display !== 'none' && comOffsets) drawCenterOfMassGraph(currentFrame);
+}
+
+// Tap on Leg Planes: dismiss the graph overlay if showing, else toggle the 3D planes
+function tapLegPlanes() {
+  if (graphOverlayActive) {
+    dismissGraphOverlay();
+    return;
+  }
+  const planesBtn = document.querySelector('.toggle-btn[data-target="planes"]');
+  planesBtn.classList.toggle('active');
+  const visible = planesBtn.classList.contains('active');
+  legPlanesGroup.visible = visible;
+  if (visible) {
+    updateOneLegPlane(currentFrame, leftLegPlane, KP_LEFT_HIP, KP_LEFT_KNEE, KP_LEFT_ANKLE);
+    updateOneLegPlane(currentFrame, rightLegPlane, KP_RIGHT_HIP, KP_RIGHT_KNEE, KP_RIGHT_ANKLE);
+  }
+}
+
+// Tap on Separation: dismiss its graph overlay if showing, else toggle torso coloring
+function tapSeparation() {
+  if (graphOverlayActive && activeOverlaySource === 'separation') {
+    dismissGraphOverlay();
+    return;
+  }
+  const sepBtn = document.querySelector('.toggle-btn[data-target="separation"]');
+  sepBtn.classList.toggle('active');
+  separationEnabled = sepBtn.classList.contains('active');
+  updateTorsoColors(currentFrame);
+}
+
+function initUI() {
+  const T = metadata.frame_count;
+
+  // Header — clean display name
+  document.getElementById('throw-name').textContent = cleanThrowName(metadata);
+
+  // Scrubber
+  const scrubber = document.getElementById('scrubber');
+  scrubber.max = T - 1;
+  scrubber.value = 0;
+
+  scrubber.addEventListener('input', (e) => {
+    currentFrame = parseInt(e.target.value, 10);
+    updateFrame(currentFrame);
+  });
+
+  // Play/pause
+  const playBtn = document.getElementById('play-btn');
+  playBtn.addEventListener('click', () => {
+    playing = !playing;
+    playBtn.innerHTML = playing ? '&#9646;&#9646;' : '&#9654;';
+    if (playing) lastFrameTime = performance.now();
+    else scheduleViewStateHash();
+  });
+
+  // Speed buttons — presets for the speed slider (see Playback)
+  document.querySelectorAll('.speed-btn').forEach(btn => {
+    btn.addEventListener('click', () => setPlaybackSpeed(parseFloat(btn.dataset.speed)));
+  });
+  initPlaybackControls();
+
+  // Range preset buttons
+  document.querySelectorAll('.range-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      activeRangePreset = btn.dataset.range;
+      applyTimelineRange();
+      redrawVisibleGraphs();
+    });
+  });
+
+  // Keyboard shortcuts — see Keyboard Shortcuts
+  initKeyboardShortcuts();
+
+  // View reset button
+  document.getElementById('reset-view-btn').addEventListener('click', () => {
+    resetView();
+  });
+
+  // Fullscreen toggle
+  const fsBtn = document.getElementById('fullscreen-btn');
+  if (fsBtn) {
+    fsBtn.addEventListener('click', () => {
+      if (!document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(() => {});
+      } else {
+        document.exitFullscreen().catch(() => {});
+      }
+    });
+    document.addEventListener('fullscreenchange', () => {
+      fsBtn.textContent = document.fullscreenElement ? '\u2716' : '\u26F6';
+    });
+  }
+
+  // Screenshot button
+  const ssBtn = document.getElementById('screenshot-btn');
   if (ssBtn) {
     ssBtn.addEventListener('click', () => {
       const dataURL = renderer.domElement.toDataURL('image/png');
@@ -2013,19 +4242,7 @@ function initUI() {
       clearTimeout(holdTimer);
       if (!isHold) {
         // Tap: toggle 3D planes only (no graph)
-        if (graphOverlayActive) {
-          // If graph overlay is showing, dismiss it
-          dismissGraphOverlay();
-        } else {
-          // Toggle planes
-          planesBtn.classList.toggle('active');
-          const visible = planesBtn.classList.contains('active');
-          legPlanesGroup.visible = visible;
-          if (visible) {
-            updateOneLegPlane(currentFrame, leftLegPlane, KP_LEFT_HIP, KP_LEFT_KNEE, KP_LEFT_ANKLE);
-            updateOneLegPlane(currentFrame, rightLegPlane, KP_RIGHT_HIP, KP_RIGHT_KNEE, KP_RIGHT_ANKLE);
-          }
-        }
+        tapLegPlanes();
       }
     };
 
@@ -2060,14 +4277,7 @@ function initUI() {
     const onSepUp = (e) => {
       clearTimeout(sepHoldTimer);
       if (!sepIsHold) {
-        if (graphOverlayActive && activeOverlaySource === 'separation') {
-          dismissGraphOverlay();
-        } else {
-          sepBtn.classList.toggle('active');
-          const visible = sepBtn.classList.contains('active');
-          separationEnabled = visible;
-          updateTorsoColors(currentFrame);
-        }
+        tapSeparation();
       }
     };
 
@@ -2111,6 +4321,60 @@ function initUI() {
         if (visible) updateOrbitExtremesFrame(currentFrame);
       }
       if (target === 'circle' && circleGroup) circleGroup.visible = visible;
+      if (target === 'skeleton' && skeletonGroup) {
+        setSkeletonVisible(visible);
+        document.getElementById('skeleton-panel').classList.toggle('hidden', !visible);
+      }
+      if (target === 'loop') {
+        document.getElementById('loop-panel').classList.toggle('hidden', !visible);
+        positionLoopRegion();
+      }
+      if (target === 'notes') {
+        document.getElementById('notes-panel').classList.toggle('hidden', !visible);
+        if (!visible && notePickMode) setNotePickMode(null);
+      }
+      if (target === 'report') {
+        document.getElementById('report-panel').classList.toggle('hidden', !visible);
+        if (visible) renderReportTable();
+      }
+      if (target === 'orbit' && orbitPlanesGroup) {
+        orbitPlanesGroup.visible = visible;
+        document.getElementById('orbit-panel').classList.toggle('hidden', !visible);
+        if (visible) {
+          updateOrbitPlanesFrame(currentFrame);
+          renderOrbitTable();
+        }
+      }
+      if (target === 'speed') {
+        const spContainer = document.getElementById('speed-container');
+        if (spContainer) spContainer.style.display = visible ? 'block' : 'none';
+        if (visible) drawSpeedGraph(currentFrame);
+      }
+      if (target === 'angles') {
+        const anContainer = document.getElementById('angles-container');
+        if (anContainer) anContainer.style.display = visible ? 'block' : 'none';
+        document.getElementById('angles-panel').classList.toggle('hidden', !visible);
+        if (visible) drawJointAngleGraph(currentFrame);
+      }
+      if (target === 'com' && comGroup) setCenterOfMassVisible(visible);
+      if (target === 'feet' && footprintGroup) {
+        footprintGroup.visible = visible;
+        if (visible) updateFootContactsFrame(currentFrame);
+      }
+      if (target === 'trail' && trailLine) {
+        trailLine.visible = visible;
+        document.getElementById('trail-panel').classList.toggle('hidden', !visible);
+        if (visible) updateHammerTrail(currentFrame);
+      }
+      if (target === 'compare') {
+        document.getElementById('compare-panel').classList.toggle('hidden', !visible);
+      }
+      if (target === 'record') {
+        document.getElementById('record-panel').classList.toggle('hidden', !visible);
+      }
+      if (target === 'offline') {
+        document.getElementById('offline-panel').classList.toggle('hidden', !visible);
+      }
     });
   });
 }
@@ -2118,18 +4382,27 @@ function initUI() {
 
 function setFrame(f) {
   currentFrame = f;
+  playhead = f;
   document.getElementById('scrubber').value = f;
   updateFrame(f);
+  scheduleViewStateHash();
 }
 
 function updateFrame(frame) {
   updateMeshFrame(frame);
+  updateSkeletonFrame(frame);
   updateHammerFrame(frame);
+  updateHammerTrail(frame);
   updateOrbitExtremesFrame(frame);
+  updateOrbitPlanesFrame(frame);
   updateLegPlanes(frame);
   updateBackPlane(frame);
   updateTorsoColors(frame);
   updateCircleFrame(frame);
+  updateCenterOfMassFrame(frame);
+  updateFootContactsFrame(frame);
+  updateNotesFrame(frame);
+  updateCompareFrame(frame);
   updateFrameDisplay(frame);
 
   // Update separation graph if visible
@@ -2137,6 +4410,18 @@ function updateFrame(frame) {
   if (sepContainer && sepContainer.style.display !== 'none' && separationAngles) {
     drawSeparationGraph(frame);
   }
+  const spContainer = document.getElementById('speed-container');
+  if (spContainer && spContainer.style.display !== 'none' && hammerKinematics) {
+    drawSpeedGraph(frame);
+  }
+  const anContainer = document.getElementById('angles-container');
+  if (anContainer && anContainer.style.display !== 'none' && jointAngles) {
+    drawJointAngleGraph(frame);
+  }
+  const comContainer = document.getElementById('com-container');
+  if (comContainer && comContainer.style.display !== 'none' && comOffsets) {
+    drawCenterOfMassGraph(frame);
+  }
 }
 
 function updateFrameDisplay(frame) {
@@ -2144,6 +4429,7 @@ function updateFrameDisplay(frame) {
   const timeS = (frame / metadata.fps).toFixed(2);
   document.getElementById('frame-info').textContent =
     `Frame ${frame} / ${T - 1}  (${timeS}s)`;
+  updateSpeedDisplay(frame);
 
   // Update PiP video frame from preloaded thumbnails
   const pipFrame = document.getElementById('pip-frame');
@@ -2154,25 +4440,478 @@ function updateFrameDisplay(frame) {
   }
 }
 
+// ─── Keyboard Shortcuts ──────────────────────────────────────────────────────
+// Actions and their default keys are in keymap.js. Keys rebound from the
+// "?" help overlay are stored as changes from the defaults in localStorage.
+
+const KEYMAP_STORAGE_KEY = 'throwsage_keymap';
+
+let keymapOverrides = {};
+let keymap = resolveKeymap();
+let keyLookup = keymapLookup(keymap);
+let keymapCapture = null;  // action id waiting for its new key
+
+function loadKeymap() {
+  try {
+    keymapOverrides = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY)) || {};
+  } catch {
+    keymapOverrides = {};
+  }
+  keymap = resolveKeymap(keymapOverrides);
+  keyLookup = keymapLookup(keymap);
+}
+
+function storeKeymap(overrides) {
+  keymapOverrides = overrides;
+  keymap = resolveKeymap(overrides);
+  keyLookup = keymapLookup(keymap);
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(overrides));
+  } catch (err) {
+    console.warn(`Could not save key bindings: ${err.message}`);
+  }
+}
+
+function seekClamped(f) {
+  setFrame(Math.min(timelineMax, Math.max(timelineMin, f)));
+}
+
+// Nearest of `frames` before (dir = −1) or after (dir = 1) the current frame
+function jumpToEventFrame(frames, dir) {
+  const ahead = frames.filter(f => f >= timelineMin && f <= timelineMax && (dir > 0 ? f > currentFrame : f < currentFrame));
+  if (ahead.length) setFrame(dir > 0 ? Math.min(...ahead) : Math.max(...ahead));
+}
+
+// Frames where the support state switches to SS or DS
+function supportTransitionFrames() {
+  const frames = [];
+  if (!supportStateData) return frames;
+  for (let f = 1; f < supportStateData.length; f++) {
+    const s = supportStateData[f];
+    if ((s === 1 || s === 2) && s !== supportStateData[f - 1]) frames.push(f);
+  }
+  return frames;
+}
+
+// Next speed-button preset above the current speed, back to the slowest after the last
+function cycleSpeedPreset() {
+  const presets = [...document.querySelectorAll('.speed-btn')].map(b => parseFloat(b.dataset.speed));
+  setPlaybackSpeed(presets.find(p => p > playbackSpeed) || presets[0]);
+}
+
+// Same as clicking the toolbar button — Leg Planes and Separation act as a tap
+function toggleOverlay(target) {
+  if (target === 'planes') tapLegPlanes();
+  else if (target === 'separation') tapSeparation();
+  else {
+    const btn = document.querySelector(`.toggle-btn[data-target="${target}"]`);
+    if (btn) btn.click();
+  }
+}
+
+const KEY_HANDLERS = {
+  playPause: () => document.getElementById('play-btn').click(),
+  stepBack: () => seekClamped(currentFrame - 1),
+  stepForward: () => seekClamped(currentFrame + 1),
+  step5Back: () => seekClamped(currentFrame - 5),
+  step5Forward: () => seekClamped(currentFrame + 5),
+  step10Back: () => seekClamped(currentFrame - 10),
+  step10Forward: () => seekClamped(currentFrame + 10),
+  first: () => setFrame(timelineMin),
+  last: () => setFrame(timelineMax),
+  speedDown: () => setPlaybackSpeed(playbackSpeed / SPEED_KEY_FACTOR),
+  speedUp: () => setPlaybackSpeed(playbackSpeed * SPEED_KEY_FACTOR),
+  cycleSpeed: cycleSpeedPreset,
+  reverse: () => setPlaybackDirection(-playbackDirection),
+  smooth: () => setSmoothPlayback(!smoothPlayback),
+  jog: () => setJogMode(!jogMode),
+  prevTurn: () => jumpToEventFrame(metadata.turn_boundaries || [], -1),
+  nextTurn: () => jumpToEventFrame(metadata.turn_boundaries || [], 1),
+  prevSupport: () => jumpToEventFrame(supportTransitionFrames(), -1),
+  nextSupport: () => jumpToEventFrame(supportTransitionFrames(), 1),
+  jumpStart: () => seekClamped((metadata.throw_window && metadata.throw_window.start) || 0),
+  jumpRelease: () => seekClamped((metadata.throw_window && metadata.throw_window.release) || lastHammerFrame),
+  prevNote: () => jumpToNote(-1),
+  nextNote: () => jumpToNote(1),
+  loopA: () => setLoopEnd('a', currentFrame),
+  loopB: () => setLoopEnd('b', currentFrame),
+  loopClear: () => setLoop(null, null),
+  resetView: () => resetView(),
+  fullscreen: () => document.getElementById('fullscreen-btn').click(),
+  help: () => setKeymapHelpVisible(document.getElementById('keymap-overlay').classList.contains('hidden')),
+};
+
+function runKeyAction(id) {
+  if (id.startsWith('toggle:')) toggleOverlay(id.slice('toggle:'.length));
+  else KEY_HANDLERS[id]();
+}
+
+function onViewerKeyDown(e) {
+  if (e.target.closest && e.target.closest('textarea, select, input[type="text"], input[type="number"]')) return;
+  if (keymapCapture) {
+    captureKeyBinding(e);
+    return;
+  }
+  const overlay = document.getElementById('keymap-overlay');
+  if (e.code === 'Escape' && !overlay.classList.contains('hidden')) {
+    setKeymapHelpVisible(false);
+    return;
+  }
+  const id = keyLookup.get(comboFromEvent(e));
+  if (!id) return;
+  e.preventDefault();
+  if (e.repeat && !KEY_ACTIONS.find(a => a.id === id).repeat) return;
+  runKeyAction(id);
+}
+
+// Next key pressed after clicking a binding: Esc cancels, Backspace unbinds
+function captureKeyBinding(e) {
+  e.preventDefault();
+  const id = keymapCapture;
+  if (e.code === 'Escape') {
+    keymapCapture = null;
+    renderKeymapHelp();
+    return;
+  }
+  const clear = e.code === 'Backspace' || e.code === 'Delete';
+  const combo = clear ? null : comboFromEvent(e);
+  if (!clear && !combo) return;  // a modifier on its own — wait for the key
+  keymapCapture = null;
+  const { overrides, displaced } = bindKey(keymapOverrides, id, combo);
+  storeKeymap(overrides);
+  const label = (actionId) => KEY_ACTIONS.find(a => a.id === actionId).label;
+  renderKeymapHelp(displaced ? `${comboLabel(combo)} was on "${label(displaced)}", which is now unbound.` : '');
+}
+
+function renderKeymapHelp(message = '') {
+  const list = document.getElementById('keymap-list');
+  if (!list) return;
+  list.innerHTML = '';
+  let section = null;
+  for (const a of KEY_ACTIONS) {
+    if (!section || section.dataset.group !== a.group) {
+      section = document.createElement('div');
+      section.className = 'keymap-group';
+      section.dataset.group = a.group;
+      section.innerHTML = `<div class="keymap-group-title">${a.group}</div>`;
+      list.appendChild(section);
+    }
+    const row = document.createElement('div');
+    row.className = 'keymap-row';
+    row.innerHTML = `<span>${escapeHtml(a.label)}</span>`;
+    const btn = document.createElement('button');
+    btn.className = 'panel-btn keymap-key';
+    btn.classList.toggle('active', keymapCapture === a.id);
+    btn.textContent = keymapCapture === a.id ? 'Press a key…' : comboLabel(keymap[a.id]);
+    btn.addEventListener('click', () => {
+      keymapCapture = keymapCapture === a.id ? null : a.id;
+      renderKeymapHelp();
+    });
+    row.appendChild(btn);
+    section.appendChild(row);
+  }
+  document.getElementById('keymap-status').textContent = message ||
+    (keymapCapture ? 'Press the new key. Esc cancels, Backspace leaves it unbound.' : 'Click a key to change it.');
+}
+
+function setKeymapHelpVisible(visible) {
+  keymapCapture = null;
+  document.getElementById('keymap-overlay').classList.toggle('hidden', !visible);
+  if (visible) renderKeymapHelp();
+}
+
+function initKeyboardShortcuts() {
+  loadKeymap();
+  document.addEventListener('keydown', onViewerKeyDown);
+
+  const overlay = document.getElementById('keymap-overlay');
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) setKeymapHelpVisible(false);
+  });
+  document.getElementById('keymap-close-btn').addEventListener('click', () => setKeymapHelpVisible(false));
+  document.getElementById('keymap-reset-btn').addEventListener('click', () => {
+    keymapCapture = null;
+    storeKeymap({});
+    renderKeymapHelp('Keys reset to the defaults.');
+  });
+  const keysBtn = document.getElementById('keys-btn');
+  if (keysBtn) keysBtn.addEventListener('click', () => setKeymapHelpVisible(true));
+}
+
+// ─── Deep-Link View State (URL hash) ─────────────────────────────────────────
+
+let hashUpdateTimer = null;
+let lastWrittenHash = '';
+
+function captureViewState() {
+  const toggles = [];
+  document.querySelectorAll('.toggle-btn[data-target]').forEach(btn => {
+    if (btn.classList.contains('active')) toggles.push(btn.dataset.target);
+  });
+  return {
+    frame: currentFrame,
+    speed: playbackSpeed,
+    range: activeRangePreset,
+    toggles,
+    labelRotationDeg: circleLabelsGroup ? circleLabelsGroup.rotation.y * (180 / Math.PI) : null,
+    camera: {
+      position: camera.position.toArray(),
+      target: controls.target.toArray(),
+    },
+  };
+}
+
+function writeViewStateHash() {
+  hashUpdateTimer = null;
+  const hash = '#' + encodeViewState(captureViewState());
+  if (hash === lastWrittenHash) return;
+  lastWrittenHash = hash;
+  history.replaceState(null, '', hash);
+}
+
+// Debounced; skipped during playback (written again on pause)
+function scheduleViewStateHash() {
+  if (playing) return;
+  clearTimeout(hashUpdateTimer);
+  hashUpdateTimer = setTimeout(writeViewStateHash, 300);
+}
+
+function setToggleState(btn, on) {
+  if (btn.classList.contains('active') === on) return;
+  const target = btn.dataset.target;
+  if (target === 'planes') {
+    // Tap/hold button — mirror the tap path without the graph overlay
+    btn.classList.toggle('active', on);
+    legPlanesGroup.visible = on;
+    if (on) {
+      updateOneLegPlane(currentFrame, leftLegPlane, KP_LEFT_HIP, KP_LEFT_KNEE, KP_LEFT_ANKLE);
+      updateOneLegPlane(currentFrame, rightLegPlane, KP_RIGHT_HIP, KP_RIGHT_KNEE, KP_RIGHT_ANKLE);
+    }
+  } else if (target === 'separation') {
+    btn.classList.toggle('active', on);
+    separationEnabled = on;
+    updateTorsoColors(currentFrame);
+  } else {
+    btn.click();
+  }
+}
+
+function applyViewState(state) {
+  if (state.range) {
+    const rangeBtn = [...document.querySelectorAll('.range-btn')].find(b => b.dataset.range === state.range);
+    if (rangeBtn) rangeBtn.click();
+  }
+  if (state.speed != null) setPlaybackSpeed(state.speed);
+  if (state.toggles) {
+    document.querySelectorAll('.toggle-btn[data-target]').forEach(btn => {
+      setToggleState(btn, state.toggles.includes(btn.dataset.target));
+    });
+  }
+  if (state.labelRotationDeg != null && circleLabelsGroup) {
+    circleLabelsGroup.rotation.y = state.labelRotationDeg * (Math.PI / 180);
+    renderOrbitTable();
+  }
+  if (state.camera) {
+    camera.position.fromArray(state.camera.position);
+    controls.target.fromArray(state.camera.target);
+    controls.update();
+  }
+  if (state.frame != null) {
+    setFrame(Math.min(timelineMax, Math.max(timelineMin, state.frame)));
+  }
+}
+
+function initViewStateHash() {
+  applyViewState(decodeViewState(window.location.hash));
+  lastWrittenHash = window.location.hash;
+
+  // Anything the user touches schedules a rewrite
+  controls.addEventListener('change', scheduleViewStateHash);
+  for (const id of ['toggles', 'timeline-controls']) {
+    const el = document.getElementById(id);
+    el.addEventListener('click', scheduleViewStateHash);
+    el.addEventListener('pointerup', scheduleViewStateHash);
+  }
+  renderer.domElement.addEventListener('pointerup', scheduleViewStateHash);
+
+  // Pasted / edited links
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash === lastWrittenHash) return;
+    lastWrittenHash = window.location.hash;
+    applyViewState(decodeViewState(window.location.hash));
+  });
+}
+
+// ─── Playback (speed, direction, jog) ────────────────────────────────────────
+// The playhead is a fractional frame. The scrubber, graphs and every overlay
+// follow its nearest frame; with Smooth on, the mesh, skeleton, COM and
+// hammer are blended between the samples around it so slow motion doesn't step.
+
+const SPEED_MIN = 0.05;
+const SPEED_MAX = 2;
+const SPEED_SLIDER_STEPS = 1000;  // slider is logarithmic in speed
+const SPEED_KEY_FACTOR = 1.25;    // per Slower / Faster key press
+const JOG_PX_PER_FRAME = 6;       // drag distance on the 3D view per frame
+const WHEEL_PX_PER_FRAME = 50;    // wheel delta over the timeline per frame
+
+let playhead = 0;                 // fractional frame
+let playbackDirection = 1;        // 1 forward, −1 reverse
+let smoothPlayback = false;
+let jogMode = false;              // drags on the 3D view scrub instead of orbiting
+
+function speedToSlider(speed) {
+  return Math.round(SPEED_SLIDER_STEPS * Math.log(speed / SPEED_MIN) / Math.log(SPEED_MAX / SPEED_MIN));
+}
+
+function sliderToSpeed(value) {
+  return +(SPEED_MIN * Math.pow(SPEED_MAX / SPEED_MIN, value / SPEED_SLIDER_STEPS)).toPrecision(2);
+}
+
+function setPlaybackSpeed(speed) {
+  playbackSpeed = +Math.min(SPEED_MAX, Math.max(SPEED_MIN, speed)).toPrecision(2);
+  const slider = document.getElementById('speed-slider');
+  if (slider) slider.value = speedToSlider(playbackSpeed);
+  const readout = document.getElementById('speed-value');
+  if (readout) readout.textContent = `${playbackSpeed}x`;
+  document.querySelectorAll('.speed-btn').forEach(b => {
+    b.classList.toggle('active', parseFloat(b.dataset.speed) === playbackSpeed);
+  });
+}
+
+function setPlaybackDirection(dir) {
+  playbackDirection = dir;
+  const btn = document.getElementById('reverse-btn');
+  if (btn) btn.classList.toggle('active', dir < 0);
+}
+
+function setSmoothPlayback(on) {
+  smoothPlayback = on;
+  document.getElementById('smooth-btn').classList.toggle('active', on);
+  if (Math.round(playhead) !== currentFrame) playhead = currentFrame;
+  if (on) showPlayhead(playhead);
+  else updateFrame(currentFrame);
+}
+
+// Show the playhead: integer-frame state when its nearest frame changes,
+// then the blended render on top when Smooth is on
+function showPlayhead(p) {
+  playhead = p;
+  const frame = Math.round(p);
+  if (frame !== currentFrame) {
+    currentFrame = frame;
+    document.getElementById('scrubber').value = frame;
+    updateFrame(frame);
+  }
+  if (smoothPlayback) updateInterpolatedFrame(p);
+}
+
+let blendedKeypoints = null;  // Float32Array(70 × 3), stored space
+const blendedCom = new Float32Array(3);
+
+// Mesh, skeleton, COM and hammer at fractional frame p (see interpolation.js).
+// Everything else — scrubber, graphs, planes, colors — stays on the nearest
+// frame, which updateFrame has already drawn.
+function updateInterpolatedFrame(p) {
+  const f0 = Math.floor(p);
+  const f1 = Math.min(f0 + 1, metadata.frame_count - 1);
+
+  // Mesh — stays on its nearest loaded frame until both neighbours stream in
+  if (!vertexFrameLoaded || (vertexFrameLoaded[f0] && vertexFrameLoaded[f1])) {
+    const V = metadata.vertex_count;
+    const posAttr = bodyMesh.geometry.getAttribute('position');
+    const arr = blendFrames(verticesData, V * 3, p, posAttr.array);
+    if (!isWorldSpace) {
+      for (let i = 0; i < V * 3; i += 3) {
+        arr[i + 1] = -arr[i + 1];
+        arr[i + 2] = -arr[i + 2];
+      }
+    }
+    posAttr.needsUpdate = true;
+    bodyMesh.geometry.computeVertexNormals();
+  }
+
+  if (!blendedKeypoints) blendedKeypoints = new Float32Array(70 * 3);
+  updateSkeletonFrame(0, blendFrames(keypointsData, 70 * 3, p, blendedKeypoints));
+  if (comData) updateCenterOfMassFrame(currentFrame, blendFrames(comData, 3, p, blendedCom));
+
+  // Hammer — colors stay those of the nearest frame
+  const hammer = blendHammer(hammerData, p);
+  hammerSphere.visible = !!hammer;
+  if (hammer) hammerSphere.position.set(...camToThree(hammer[0], hammer[1], hammer[2]));
+}
+
+// Move the playhead by `frames` of playback, wrapping within the loop
+function advancePlayhead(frames) {
+  if (Math.round(playhead) !== currentFrame) playhead = currentFrame;  // seeked elsewhere
+  const { start, end } = playbackBounds();
+  let p = playhead + frames;
+  if (p > end || p < start) p = playbackDirection > 0 ? start : end;
+  showPlayhead(p);
+}
+
+// Scrub by a fractional number of frames, pausing playback first
+function jogBy(frames) {
+  if (playing) document.getElementById('play-btn').click();
+  if (Math.round(playhead) !== currentFrame) playhead = currentFrame;
+  showPlayhead(Math.min(timelineMax, Math.max(timelineMin, playhead + frames)));
+  scheduleViewStateHash();
+}
+
+function setJogMode(on) {
+  jogMode = on;
+  document.getElementById('jog-btn').classList.toggle('active', on);
+  controls.enabled = !on;
+  renderer.domElement.style.cursor = on ? 'ew-resize' : '';
+}
+
+function initPlaybackControls() {
+  const slider = document.getElementById('speed-slider');
+  slider.max = SPEED_SLIDER_STEPS;
+  slider.addEventListener('input', () => setPlaybackSpeed(sliderToSpeed(parseInt(slider.value, 10))));
+  slider.addEventListener('keydown', (e) => e.stopPropagation());  // arrows adjust the slider, not the frame
+  setPlaybackSpeed(playbackSpeed);
+
+  document.getElementById('reverse-btn').addEventListener('click', () => setPlaybackDirection(-playbackDirection));
+  document.getElementById('smooth-btn').addEventListener('click', () => setSmoothPlayback(!smoothPlayback));
+  document.getElementById('jog-btn').addEventListener('click', () => setJogMode(!jogMode));
+
+  // Wheel over the timeline always jogs
+  document.getElementById('scrubber-container').addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+    const px = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? delta * 16 : delta;
+    jogBy(px / WHEEL_PX_PER_FRAME);
+  }, { passive: false });
+
+  // Jog mode: horizontal drags (mouse or touch) on the 3D view scrub
+  const domEl = renderer.domElement;
+  let jogX = null;
+  domEl.addEventListener('pointerdown', (e) => {
+    if (!jogMode || isDraggingLabel) return;
+    jogX = e.clientX;
+    domEl.setPointerCapture(e.pointerId);
+  });
+  domEl.addEventListener('pointermove', (e) => {
+    if (jogX === null) return;
+    jogBy((e.clientX - jogX) / JOG_PX_PER_FRAME);
+    jogX = e.clientX;
+  });
+  const endJog = () => { jogX = null; };
+  domEl.addEventListener('pointerup', endJog);
+  domEl.addEventListener('pointercancel', endJog);
+}
+
 // ─── Animation Loop ──────────────────────────────────────────────────────────
 
 function animate() {
   requestAnimationFrame(animate);
+  if (recordingVideo) return;  // recordVideo drives the renderer
 
   if (playing) {
     const now = performance.now();
-    const elapsed = now - lastFrameTime;
-    const frameDuration = 1000 / (metadata.fps * playbackSpeed);
-
-    if (elapsed >= frameDuration) {
-      lastFrameTime = now - (elapsed % frameDuration);
-      currentFrame++;
-      if (currentFrame > timelineMax) {
-        currentFrame = timelineMin;
-      }
-      document.getElementById('scrubber').value = currentFrame;
-      updateFrame(currentFrame);
-    }
+    const elapsed = Math.min(now - lastFrameTime, 250);  // no jump after a background tab
+    lastFrameTime = now;
+    advancePlayhead((elapsed / 1000) * metadata.fps * playbackSpeed * playbackDirection);
   }
 
   controls.update();
@@ -2205,39 +4944,109 @@ function createColorLegend() {
 
 // ─── Main ────────────────────────────────────────────────────────────────────
 
-async function main() {
+const loadingMarkup = document.getElementById('loading').innerHTML;
+
+function showLoadError(err) {
+  const problems = err.problems && err.problems.length ? err.problems : [];
+  const title = err instanceof ThrowLoadError ? err.message : `Failed to load data: ${err.message}`;
+  document.getElementById('loading').innerHTML =
+    `<div class="load-error">` +
+    `<div class="load-error-title">${escapeHtml(title)}</div>` +
+    (metadataUrl ? `<div class="load-error-source">${escapeHtml(describeUrl(metadataUrl))}</div>` : '') +
+    (problems.length ? `<ul>${problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : '') +
+    `<div>Or open a throw from this computer:</div>` +
+    dropZoneMarkup +
+    (onFileProtocol ? '' : `<a href="library.html">Open the throw library</a>`) +
+    `</div>`;
+  bindDropZoneInputs();
+}
+
+function showLoadWarnings() {
+  const box = document.getElementById('load-warnings');
+  if (!loadWarnings.length) return;
+  document.getElementById('load-warnings-title').textContent =
+    `Loaded with ${loadWarnings.length} warning${loadWarnings.length === 1 ? '' : 's'}`;
+  const list = document.getElementById('load-warnings-list');
+  list.innerHTML = '';
+  for (const w of loadWarnings) {
+    const li = document.createElement('li');
+    li.textContent = w;
+    list.appendChild(li);
+  }
+  document.getElementById('load-warnings-close').addEventListener('click', () => box.classList.add('hidden'));
+  box.classList.remove('hidden');
+}
+
+async function loadThrow() {
   try {
     await loadData();
+    return true;
   } catch (err) {
-    document.getElementById('loading').innerHTML =
-      `<div class="label" style="color:#ff6b6b;">Failed to load data: ${err.message}</div>`;
+    console.error(err);
+    showLoadError(err);
+    return false;
+  }
+}
+
+async function main() {
+  initLocalDrop();
+  // On file:// (the standalone build) there is no data folder to fetch from
+  if (urlParams.has('local') || onFileProtocol) {
+    showLocalDropScreen();
     return;
   }
+  if (await loadThrow()) startViewer();
+}
 
+function startViewer() {
+  viewerStarted = true;
   computeLastHammerFrame();
+  precomputeHammerKinematics();
   initScene();
   createBodyMesh();
+  createSkeleton();
   createHammer();
+  createHammerTrail();
   createGround();
   createLegPlanes();
   createBackPlane();
   precomputeSeparation();
+  precomputeJointAngles();
   createCircle();
+  precomputeCenterOfMass();
+  createCenterOfMass();
   createCircleLabels();
   setupLabelDrag();
   precomputeOrbitExtremes();
   createOrbitExtremesSpheres();
+  precomputeOrbitPlanes();
+  createOrbitPlanes();
+  initMetricGraphs();
 
   // Set initial frame — positionGround first so groundY is available
   positionGround(0);
+  createFootContacts();
+  createNotes();
   updateFrame(0);
   frameCameraOnBody();
 
   initUI();
+  initTrailPanel();
+  initSkeletonPanel();
+  initAnglesPanel();
+  initReportPanel();
+  initLoopPanel();
+  initNotesPanel();
+  initComparePanel();
+  initRecordPanel();
+  initOfflinePanel();
   createColorLegend();
+  initViewStateHash();
+  loadPipThumbnails();
 
   // Hide loading
   document.getElementById('loading').classList.add('hidden');
+  showLoadWarnings();
 
   // Show onboarding on first visit
   if (!localStorage.getItem('throwsage_onboarded')) {
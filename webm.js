@@ -0,0 +1,126 @@
+/**
+ * Minimal WebM muxer — wraps encoded VP8/VP9 frames in a playable .webm.
+ *
+ * No DOM or Three.js. Takes the chunks a WebCodecs VideoEncoder produced
+ * (bytes + timestamp + keyframe flag) and writes EBML with a known-size
+ * segment: header, Info (with duration), one video track, and a cluster
+ * per keyframe. Everything is built in memory, so it suits clips of a
+ * throw's length rather than long recordings.
+ */
+
+const CODEC_IDS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+
+// ─── EBML ────────────────────────────────────────────────────────────────────
+
+function concat(parts) {
+  let len = 0;
+  for (const p of parts) len += p.length;
+  const out = new Uint8Array(len);
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+// IDs are written with their length marker already included (e.g. 0x1A45DFA3)
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Uint8Array.from(bytes);
+}
+
+// Element sizes always use the 8-byte form — simple and valid for any length
+function sizeBytes(size) {
+  const out = new Uint8Array(8);
+  out[0] = 0x01;
+  let v = size;
+  for (let i = 7; i >= 1; i--) { out[i] = v & 0xff; v = Math.floor(v / 256); }
+  return out;
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  let v = value;
+  do { bytes.unshift(v & 0xff); v = Math.floor(v / 256); } while (v > 0);
+  return Uint8Array.from(bytes);
+}
+
+function element(id, payload) {
+  return concat([idBytes(id), sizeBytes(payload.length), payload]);
+}
+
+const uint = (id, value) => element(id, uintBytes(value));
+const str = (id, value) => element(id, new TextEncoder().encode(value));
+const master = (id, children) => element(id, concat(children));
+
+function float64(id, value) {
+  const buf = new Uint8Array(8);
+  new DataView(buf.buffer).setFloat64(0, value);
+  return element(id, buf);
+}
+
+// ─── Muxer ───────────────────────────────────────────────────────────────────
+
+// SimpleBlock on track 1; timecode relative to the cluster (int16 ms)
+function simpleBlock(frame, clusterMs) {
+  const head = new Uint8Array(4);
+  head[0] = 0x81;
+  new DataView(head.buffer).setInt16(1, Math.round(frame.timestampMs - clusterMs));
+  head[3] = frame.keyframe ? 0x80 : 0x00;
+  return element(0xa3, concat([head, frame.data]));
+}
+
+// frames: [{data: Uint8Array, timestampMs, keyframe}] in presentation order;
+// the first frame must be a keyframe. durationMs covers the last frame too.
+// → Blob (video/webm)
+export function buildWebM({ width, height, codec, frames, durationMs }) {
+  const codecId = CODEC_IDS[codec];
+  if (!codecId) throw new Error(`unsupported WebM codec ${codec}`);
+
+  const header = master(0x1a45dfa3, [
+    uint(0x4286, 1),       // EBMLVersion
+    uint(0x42f7, 1),       // EBMLReadVersion
+    uint(0x42f2, 4),       // EBMLMaxIDLength
+    uint(0x42f3, 8),       // EBMLMaxSizeLength
+    str(0x4282, 'webm'),   // DocType
+    uint(0x4287, 2),       // DocTypeVersion
+    uint(0x4285, 2),       // DocTypeReadVersion
+  ]);
+
+  const info = master(0x1549a966, [
+    uint(0x2ad7b1, 1000000),   // TimecodeScale: 1 ms
+    str(0x4d80, 'throwsage-viewer'),
+    str(0x5741, 'throwsage-viewer'),
+    float64(0x4489, durationMs),
+  ]);
+
+  const tracks = master(0x1654ae6b, [
+    master(0xae, [
+      uint(0xd7, 1),         // TrackNumber
+      uint(0x73c5, 1),       // TrackUID
+      uint(0x83, 1),         // TrackType: video
+      str(0x86, codecId),
+      master(0xe0, [uint(0xb0, width), uint(0xba, height)]),
+    ]),
+  ]);
+
+  // New cluster at each keyframe, or before the int16 block offset overflows
+  const clusters = [];
+  let blocks = [];
+  let clusterMs = 0;
+  const flush = () => {
+    if (blocks.length) clusters.push(master(0x1f43b675, [uint(0xe7, clusterMs), ...blocks]));
+    blocks = [];
+  };
+  for (const frame of frames) {
+    const ms = Math.round(frame.timestampMs);
+    if (blocks.length === 0 || frame.keyframe || ms - clusterMs > 30000) {
+      flush();
+      clusterMs = ms;
+    }
+    blocks.push(simpleBlock(frame, clusterMs));
+  }
+  flush();
+
+  const segment = master(0x18538067, [info, tracks, ...clusters]);
+  return new Blob([header, segment], { type: 'video/webm' });
+}
@@ -0,0 +1,81 @@
+/**
+ * Minimal ZIP reader — lists and inflates entries of a zip Blob.
+ *
+ * No dependencies: stored entries are sliced, deflated ones go through the
+ * browser's DecompressionStream('deflate-raw'). Only the central directory
+ * is read up front, so large archives are not copied into memory twice.
+ * ZIP64 archives (entries over 4 GB) are not supported.
+ */
+
+const SIG_EOCD = 0x06054b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+async function readBytes(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+// ─── Directory ───────────────────────────────────────────────────────────────
+
+async function findEndOfCentralDirectory(blob) {
+  // EOCD is 22 bytes plus an optional comment of up to 64 KB
+  const tailStart = Math.max(0, blob.size - 22 - 65535);
+  const tail = await readBytes(blob, tailStart, blob.size);
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === SIG_EOCD) {
+      return {
+        entryCount: tail.getUint16(i + 10, true),
+        dirSize: tail.getUint32(i + 12, true),
+        dirOffset: tail.getUint32(i + 16, true),
+      };
+    }
+  }
+  throw new Error('not a zip file (no end of central directory)');
+}
+
+// → [{name, method, compressedSize, size, localOffset, isDirectory}]
+export async function listZipEntries(blob) {
+  const eocd = await findEndOfCentralDirectory(blob);
+  if (eocd.dirOffset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  const dir = await readBytes(blob, eocd.dirOffset, eocd.dirOffset + eocd.dirSize);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  let p = 0;
+  for (let i = 0; i < eocd.entryCount; i++) {
+    if (dir.getUint32(p, true) !== SIG_CENTRAL) throw new Error('corrupt zip central directory');
+    const method = dir.getUint16(p + 10, true);
+    const compressedSize = dir.getUint32(p + 20, true);
+    const size = dir.getUint32(p + 24, true);
+    const nameLen = dir.getUint16(p + 28, true);
+    const extraLen = dir.getUint16(p + 30, true);
+    const commentLen = dir.getUint16(p + 32, true);
+    const localOffset = dir.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, dir.byteOffset + p + 46, nameLen));
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    entries.push({ name, method, compressedSize, size, localOffset, isDirectory: name.endsWith('/') });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// ─── Extract ─────────────────────────────────────────────────────────────────
+
+export async function extractZipEntry(blob, entry) {
+  const local = await readBytes(blob, entry.localOffset, entry.localOffset + 30);
+  if (local.getUint32(0, true) !== SIG_LOCAL) throw new Error(`corrupt zip entry ${entry.name}`);
+  const dataStart = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+  const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('this browser cannot inflate zip files (no DecompressionStream)');
+    }
+    const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).blob();
+  }
+  throw new Error(`unsupported zip compression method ${entry.method} for ${entry.name}`);
+}